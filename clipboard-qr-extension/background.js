@@ -1,10 +1,31 @@
-importScripts('shared.js');
+importScripts('shared.js', 'jsQR.min.js');
 
 // Centralized history writer (single extension context) to avoid race conditions
 // from multiple tabs/frames writing clipboard history concurrently.
 
 const STORAGE_KEY = "clipboardHistory";
-const HISTORY_LIMIT = 15;
+const HISTORY_REVISION_KEY = "historyRevision"; // number bumped on every history write (see HISTORY API)
+const LAST_SEEN_KEY = "lastSeenClipboard";
+const CAPTURE_RULES_KEY = "captureRules";
+const SENSITIVE_HANDLING_KEY = "sensitiveHandling";
+const CAPTURE_EVENTS_KEY = "captureEvents";   // { cut, paste } (see shared.normalizeCaptureEvents)
+const SESSION_HISTORY_KEY = "sessionHistory"; // chrome.storage.session: sensitive items kept for this session only
+const HISTORY_LOCK_KEY = "historyLock";       // lock record when history is encrypted (see shared.createHistoryLock)
+const HISTORY_KEY_SESSION_KEY = "historyKey"; // chrome.storage.session: base64 AES key while history is unlocked
+const PENDING_HISTORY_KEY = "pendingHistory"; // chrome.storage.session: captures waiting for the popup to unlock history
+const RETENTION_KEY = "historyRetention";     // { period, keepPinned } (see shared.normalizeRetention)
+const LIMITS_KEY = "limits";                   // { historyLimit, batchLimit } (see shared.normalizeLimits)
+const BATCHES_KEY = "batches";                 // { activeId, collections } (see shared.normalizeBatches)
+const LEGACY_BATCH_KEYS = ["batchItems", "batchIndex", "batchCaptions"];
+const PURGE_ALARM = "cqr-purge-history";
+const PURGE_INTERVAL_MINUTES = 5;
+const RESULT_WINDOW = { width: 290, height: 620 };
+const DECODE_MAX_DIMENSION = 3000;
+
+const MENU_QR_SELECTION = "cqr-selection";
+const MENU_QR_LINK = "cqr-link";
+const MENU_QR_PAGE = "cqr-page";
+const MENU_DECODE_IMAGE = "cqr-decode-image";
 const enqueueHistoryWrite =
   globalThis.ClipboardQrShared?.createSerialQueue?.() ??
   ((task) => Promise.resolve().then(task));
@@ -13,9 +34,9 @@ function storageGet(keys) {
   return new Promise((resolve) => chrome.storage.local.get(keys, resolve));
 }
 
-function storageSet(obj) {
+function storageSet(obj, area = chrome.storage.local) {
   return new Promise((resolve, reject) => {
-    chrome.storage.local.set(obj, () => {
+    area.set(obj, () => {
       const err = chrome.runtime?.lastError;
       if (err) reject(err);
       else resolve();
@@ -23,31 +44,590 @@ function storageSet(obj) {
   });
 }
 
-async function addCopiedTextToHistory(text) {
+function sessionStorageGet(keys) {
+  return new Promise((resolve) => chrome.storage.session.get(keys, resolve));
+}
+
+// Adds an entry to a history list kept in chrome.storage.session (memory only).
+async function addToSessionList(sessionKey, entry, historyLimit) {
+  const shared = globalThis.ClipboardQrShared;
+  const stored = await sessionStorageGet([sessionKey]);
+  const list = shared.normalizeHistory(stored?.[sessionKey]);
+  await storageSet({ [sessionKey]: shared.updateHistory(list, entry, historyLimit) }, chrome.storage.session);
+}
+
+// The history key while unlocked, or null (lock mode off, or locked).
+async function getHistoryKey() {
+  const stored = await sessionStorageGet([HISTORY_KEY_SESSION_KEY]);
+  const raw = stored?.[HISTORY_KEY_SESSION_KEY];
+  return raw ? globalThis.ClipboardQrShared.importHistoryKey(raw) : null;
+}
+
+// Stores history (encrypted when `key` is given) together with `extra` keys, and bumps the
+// revision so writers working from an older copy can tell. Only call this from the queue.
+async function writeHistory(history, key, extra = {}) {
+  const stored = await storageGet([HISTORY_REVISION_KEY]);
+  const revision = (Number(stored?.[HISTORY_REVISION_KEY]) || 0) + 1;
+  await storageSet({
+    ...extra,
+    [STORAGE_KEY]: await globalThis.ClipboardQrShared.encodeHistoryForStorage(history, key),
+    [HISTORY_REVISION_KEY]: revision,
+  });
+  return revision;
+}
+
+// `item` is the text, or { text, method, sourceUrl, sourceTitle } with capture metadata.
+// Sensitive text is skipped, masked or kept in session storage per the user's setting, and
+// captures made while history is locked wait in session storage until the popup unlocks it.
+// Resolves to the decision from shared.applySensitivePolicy (undefined for empty text).
+async function addCopiedTextToHistory(item) {
   return enqueueHistoryWrite(async () => {
     const shared = globalThis.ClipboardQrShared;
-    const trimmed = shared?.trimmedText?.(text) ?? "";
-    if (!trimmed) return;
+    const entry = typeof item === "object" && item !== null ? item : { text: item };
+    const trimmed = shared.trimmedText(entry.text);
+    if (!trimmed) return undefined;
+
+    const result = await storageGet([STORAGE_KEY, SENSITIVE_HANDLING_KEY, HISTORY_LOCK_KEY, LIMITS_KEY]);
+    const decision = shared.applySensitivePolicy(trimmed, result?.[SENSITIVE_HANDLING_KEY]);
+    if (decision.action === "skip") return decision;
+
+    const { historyLimit } = shared.normalizeLimits(result?.[LIMITS_KEY]);
+    const captured = { ...entry, text: decision.text, capturedAt: Date.now() };
+    if (decision.action === "session") {
+      await addToSessionList(SESSION_HISTORY_KEY, captured, historyLimit);
+      return decision;
+    }
 
+    const key = await getHistoryKey();
+    const { locked, history } = await shared.readStoredHistory(result?.[STORAGE_KEY], key);
+    if (locked || (result?.[HISTORY_LOCK_KEY] && !key)) {
+      await addToSessionList(PENDING_HISTORY_KEY, captured, historyLimit);
+      return decision;
+    }
+
+    await writeHistory(shared.updateHistory(history, captured, historyLimit), key);
+    return decision;
+  });
+}
+
+// Applies the per-site capture rules (see options page) to a capture from `urls`.
+async function isHistoryCaptureAllowed(urls, method) {
+  const result = await storageGet([CAPTURE_RULES_KEY, CAPTURE_EVENTS_KEY]);
+  const shared = globalThis.ClipboardQrShared;
+  if (method && !shared.isCaptureEventEnabled(result?.[CAPTURE_EVENTS_KEY], method)) return false;
+  return shared?.resolveCapturePolicy?.(result?.[CAPTURE_RULES_KEY], urls.filter(Boolean))?.history ?? true;
+}
+
+// Rewrites legacy `string[]` history as entry objects ({ text, pinned, label }).
+function migrateHistoryStorage() {
+  return enqueueHistoryWrite(async () => {
     const result = await storageGet([STORAGE_KEY]);
-    const history = shared?.coerceTextArray?.(result?.[STORAGE_KEY]) ?? [];
-    const updated = shared?.updateHistory?.(history, trimmed, HISTORY_LIMIT) ?? history;
-    await storageSet({ [STORAGE_KEY]: updated });
+    const stored = result?.[STORAGE_KEY];
+    if (!Array.isArray(stored) || !stored.some((item) => typeof item === "string")) return;
+    await writeHistory(globalThis.ClipboardQrShared.normalizeHistory(stored), null);
+  });
+}
+
+// Moves the single pre-collection batch (batchItems / batchIndex / batchCaptions) into the
+// first named batch.
+function migrateBatchStorage() {
+  return enqueueHistoryWrite(async () => {
+    const result = await storageGet([BATCHES_KEY, ...LEGACY_BATCH_KEYS]);
+    if (!LEGACY_BATCH_KEYS.some((key) => result?.[key] !== undefined)) return;
+    // Encrypted batches were written after the migration; the legacy keys are just leftovers.
+    if (!globalThis.ClipboardQrShared.isEncryptedPayload(result?.[BATCHES_KEY])) {
+      await storageSet({ [BATCHES_KEY]: globalThis.ClipboardQrShared.normalizeBatches(result?.[BATCHES_KEY], result) });
+    }
+    await new Promise((resolve) => chrome.storage.local.remove(LEGACY_BATCH_KEYS, resolve));
+  });
+}
+
+// ============================================================================
+// HISTORY API
+// ============================================================================
+
+// The last-seen clipboard value as stored: encrypted with `key`, and blank when it looks sensitive.
+async function encodeLastSeen(value, key) {
+  const shared = globalThis.ClipboardQrShared;
+  const text = shared.trimmedText(value);
+  const safe = shared.classifySensitiveText(text) ? "" : text;
+  return key ? shared.encryptJson(key, safe) : safe;
+}
+
+// Extra keys for writeHistory that blank the stored last-seen value when `isGone(text)` says a
+// clear or purge removed it from history, so the text isn't left behind. `text` is null when
+// the value is encrypted and there is no key.
+async function forgetRemovedLastSeen(key, isGone) {
+  const shared = globalThis.ClipboardQrShared;
+  const stored = (await storageGet([LAST_SEEN_KEY]))?.[LAST_SEEN_KEY];
+  if (!stored) return {};
+  let text = shared.trimmedText(stored);
+  if (shared.isEncryptedPayload(stored)) text = key ? shared.trimmedText(await shared.decryptJson(key, stored)) : null;
+  if (text !== null && !isGone(text)) return {};
+  return { [LAST_SEEN_KEY]: await encodeLastSeen("", key) };
+}
+
+// HISTORY_UPDATE: { op, baseRevision?, lastSeen? } with an operation from
+// shared.applyHistoryOperation, already validated by the message router. A baseRevision that
+// isn't the stored one means the sender missed a write; it gets { stale: true } with the
+// current history and retries. "clear" keeps pinned entries when the retention setting says
+// so, empties the session-only lists too and forgets the last-seen value unless it was kept.
+// Adds aimed at the session-only or pending list (see shared.HISTORY_ADD_TARGETS) go to
+// chrome.storage.session and skip the revision check.
+function applyHistoryUpdate(message) {
+  return enqueueHistoryWrite(async () => {
+    const shared = globalThis.ClipboardQrShared;
+    const result = await storageGet([STORAGE_KEY, HISTORY_REVISION_KEY, HISTORY_LOCK_KEY, LIMITS_KEY, RETENTION_KEY]);
+    const revision = Number(result?.[HISTORY_REVISION_KEY]) || 0;
+    const key = await getHistoryKey();
+    const { locked, history } = await shared.readStoredHistory(result?.[STORAGE_KEY], key);
+    const clearing = message.op.kind === "clear";
+    const { keepPinned } = shared.normalizeRetention(result?.[RETENTION_KEY]);
+    const { historyLimit } = shared.normalizeLimits(result?.[LIMITS_KEY]);
+    const historyLocked = locked || Boolean(result?.[HISTORY_LOCK_KEY] && !key);
+    const target = message.op.kind === "add" ? message.op.target : undefined;
+    if (target === "session" || (target === "pending" && historyLocked)) {
+      const sessionKey = target === "session" ? SESSION_HISTORY_KEY : PENDING_HISTORY_KEY;
+      for (const entry of message.op.entries) await addToSessionList(sessionKey, entry, historyLimit);
+      return { ok: true };
+    }
+    if (historyLocked) {
+      if (!clearing) return { ok: false, error: "History is locked." };
+      if (keepPinned) return { ok: false, error: "Unlock history first to clear it while keeping pinned items." };
+    }
+    if (message.baseRevision !== undefined && message.baseRevision !== revision) {
+      return { ok: false, stale: true, revision, history };
+    }
+
+    const op = clearing ? { kind: "clear", keepPinned } : message.op;
+    if (clearing) {
+      await new Promise((resolve) =>
+        chrome.storage.session.remove([SESSION_HISTORY_KEY, PENDING_HISTORY_KEY], resolve)
+      );
+    }
+    const updated = shared.applyHistoryOperation(history, op, { limit: historyLimit });
+    let extra = message.lastSeen === undefined ? {} : { [LAST_SEEN_KEY]: await encodeLastSeen(message.lastSeen, key) };
+    if (clearing) extra = await forgetRemovedLastSeen(key, (text) => !updated.some((e) => e.text === text));
+    const next = await writeHistory(updated, key, extra);
+    return { ok: true, revision: next, history: updated };
+  });
+}
+
+// HISTORY_LOCK from the options page re-encodes history, the last-seen value and the batches in the queue:
+//   { action: "enable", lock, key }  encrypts with the exported key, which goes to session
+//                                    storage only once the encrypted history is written
+//   { action: "disable", key }  decrypts with the exported key, adding captures made while locked
+//   { action: "reset" }         drops the encrypted history after a forgotten passphrase
+function changeHistoryLock(message) {
+  return enqueueHistoryWrite(async () => {
+    const shared = globalThis.ClipboardQrShared;
+    const result = await storageGet([
+      STORAGE_KEY,
+      LAST_SEEN_KEY,
+      LIMITS_KEY,
+      HISTORY_LOCK_KEY,
+      BATCHES_KEY,
+      ...LEGACY_BATCH_KEYS,
+    ]);
+    const lastSeen = result?.[LAST_SEEN_KEY];
+
+    if (message.action === "enable") {
+      if (!message.key || !message.lock) return { ok: false, error: "Missing history key." };
+      const { locked, history } = await shared.readStoredHistory(result?.[STORAGE_KEY], null);
+      if (locked || result?.[HISTORY_LOCK_KEY]) return { ok: false, error: "History is already encrypted." };
+      const key = await shared.importHistoryKey(message.key);
+      const { batches } = await shared.readStoredBatches(result?.[BATCHES_KEY], null, result);
+      await writeHistory(history, key, {
+        [HISTORY_LOCK_KEY]: message.lock,
+        [LAST_SEEN_KEY]: await shared.encryptJson(key, shared.trimmedText(lastSeen)),
+        [BATCHES_KEY]: await shared.encodeBatchesForStorage(batches, key),
+      });
+      await storageSet({ [HISTORY_KEY_SESSION_KEY]: message.key }, chrome.storage.session);
+      return { ok: true };
+    }
+
+    if (message.action === "disable") {
+      const key = await shared.importHistoryKey(message.key);
+      let { history } = await shared.readStoredHistory(result?.[STORAGE_KEY], key);
+      const session = await sessionStorageGet([PENDING_HISTORY_KEY]);
+      const { historyLimit } = shared.normalizeLimits(result?.[LIMITS_KEY]);
+      for (const entry of shared.normalizeHistory(session?.[PENDING_HISTORY_KEY])) {
+        history = shared.updateHistory(history, entry, historyLimit);
+      }
+      const { batches } = await shared.readStoredBatches(result?.[BATCHES_KEY], key, result);
+      await writeHistory(history, null, {
+        [HISTORY_LOCK_KEY]: null,
+        [LAST_SEEN_KEY]: shared.isEncryptedPayload(lastSeen) ? await shared.decryptJson(key, lastSeen) : "",
+        [BATCHES_KEY]: batches,
+      });
+      await new Promise((resolve) =>
+        chrome.storage.session.remove([HISTORY_KEY_SESSION_KEY, PENDING_HISTORY_KEY], resolve)
+      );
+      return { ok: true };
+    }
+
+    if (message.action === "reset") {
+      await new Promise((resolve) =>
+        chrome.storage.session.remove([HISTORY_KEY_SESSION_KEY, PENDING_HISTORY_KEY], resolve)
+      );
+      // Encrypted batches are as unrecoverable as the history.
+      const extra = { [HISTORY_LOCK_KEY]: null, [LAST_SEEN_KEY]: "" };
+      if (shared.isEncryptedPayload(result?.[BATCHES_KEY])) extra[BATCHES_KEY] = shared.normalizeBatches(null, null);
+      await writeHistory([], null, extra);
+      return { ok: true };
+    }
+
+    return { ok: false, error: `Unknown lock action "${message.action}".` };
+  });
+}
+
+// ============================================================================
+// RETENTION
+// ============================================================================
+
+// Purges expired entries from history and the session-only lists, and the last-seen value with
+// its entry. Encrypted history is left alone while locked; the next run after unlocking catches up.
+function purgeExpiredHistoryNow() {
+  return enqueueHistoryWrite(async () => {
+    const shared = globalThis.ClipboardQrShared;
+    const result = await storageGet([STORAGE_KEY, RETENTION_KEY]);
+    const retention = shared.normalizeRetention(result?.[RETENTION_KEY]);
+    const now = Date.now();
+
+    const session = await sessionStorageGet([SESSION_HISTORY_KEY, PENDING_HISTORY_KEY]);
+    const sessionUpdates = {};
+    for (const listKey of [SESSION_HISTORY_KEY, PENDING_HISTORY_KEY]) {
+      const purged = shared.purgeExpiredHistory(session?.[listKey], retention, now);
+      if (purged.changed) sessionUpdates[listKey] = purged.history;
+    }
+    if (Object.keys(sessionUpdates).length) await storageSet(sessionUpdates, chrome.storage.session);
+
+    const key = await getHistoryKey();
+    const { locked, history } = await shared.readStoredHistory(result?.[STORAGE_KEY], key);
+    if (locked) return;
+    const purged = shared.purgeExpiredHistory(history, retention, now);
+    if (!purged.changed) return;
+    const kept = new Set(purged.history.map((e) => e.text));
+    const expired = new Set(history.filter((e) => !kept.has(e.text)).map((e) => e.text));
+    await writeHistory(purged.history, key, await forgetRemovedLastSeen(key, (text) => expired.has(text)));
+  });
+}
+
+// Runs the purge job every few minutes while a retention period is set.
+async function scheduleHistoryPurge() {
+  const result = await storageGet([RETENTION_KEY]);
+  const { period } = globalThis.ClipboardQrShared.normalizeRetention(result?.[RETENTION_KEY]);
+  if (period === "off") {
+    await chrome.alarms.clear(PURGE_ALARM);
+    return;
+  }
+  if (!(await chrome.alarms.get(PURGE_ALARM))) {
+    await chrome.alarms.create(PURGE_ALARM, { delayInMinutes: 1, periodInMinutes: PURGE_INTERVAL_MINUTES });
+  }
+}
+
+function refreshHistoryPurge() {
+  void scheduleHistoryPurge()
+    .then(purgeExpiredHistoryNow)
+    .catch((err) => console.debug("Clipboard QR Code: history purge failed", err));
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== PURGE_ALARM) return;
+  void purgeExpiredHistoryNow().catch((err) => {
+    console.debug("Clipboard QR Code: history purge failed", err);
+  });
+});
+
+chrome.runtime.onStartup.addListener(refreshHistoryPurge);
+
+// The unlocked history key sits in session storage; make sure content scripts can never read it.
+// TRUSTED_CONTEXTS is Chrome's default, so this only guards against it being loosened later.
+void chrome.storage.session.setAccessLevel?.({ accessLevel: "TRUSTED_CONTEXTS" })?.catch((err) => {
+  console.debug("Clipboard QR Code: could not restrict session storage", err);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  // A new retention setting applies right away; unlocking lets the purge reach encrypted history.
+  const retentionChanged = area === "local" && changes[RETENTION_KEY];
+  const unlocked = area === "session" && changes[HISTORY_KEY_SESSION_KEY]?.newValue;
+  if (retentionChanged || unlocked) refreshHistoryPurge();
+});
+
+// ============================================================================
+// LIMITS
+// ============================================================================
+
+// Trims history, the session-only lists and every batch to the configured limits. Like the
+// retention purge, encrypted history and batches are skipped while locked and trimmed once unlocked.
+function applyLimitsNow() {
+  return enqueueHistoryWrite(async () => {
+    const shared = globalThis.ClipboardQrShared;
+    const result = await storageGet([STORAGE_KEY, LIMITS_KEY, HISTORY_LOCK_KEY, BATCHES_KEY, ...LEGACY_BATCH_KEYS]);
+    const { historyLimit, batchLimit } = shared.normalizeLimits(result?.[LIMITS_KEY]);
+    const key = await getHistoryKey();
+
+    const session = await sessionStorageGet([SESSION_HISTORY_KEY, PENDING_HISTORY_KEY]);
+    const sessionUpdates = {};
+    for (const listKey of [SESSION_HISTORY_KEY, PENDING_HISTORY_KEY]) {
+      const list = shared.normalizeHistory(session?.[listKey]);
+      const trimmed = shared.trimHistoryToLimit(list, historyLimit);
+      if (trimmed.length !== list.length) sessionUpdates[listKey] = trimmed;
+    }
+    if (Object.keys(sessionUpdates).length) await storageSet(sessionUpdates, chrome.storage.session);
+
+    const stored = await shared.readStoredBatches(result?.[BATCHES_KEY], key, result);
+    if (!stored.locked && stored.batches.collections.some((batch) => batch.items.length > batchLimit)) {
+      const trimmed = shared.trimBatchesToLimit(stored.batches, batchLimit);
+      const batchKey = result?.[HISTORY_LOCK_KEY] ? key : null;
+      await storageSet({ [BATCHES_KEY]: await shared.encodeBatchesForStorage(trimmed, batchKey) });
+    }
+
+    const { locked, history } = await shared.readStoredHistory(result?.[STORAGE_KEY], key);
+    if (locked) return;
+    const trimmed = shared.trimHistoryToLimit(history, historyLimit);
+    if (trimmed.length === history.length) return;
+    await writeHistory(trimmed, key);
+  });
+}
+
+function refreshLimits() {
+  void applyLimitsNow().catch((err) => console.debug("Clipboard QR Code: applying limits failed", err));
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  const limitsChanged = area === "local" && changes[LIMITS_KEY];
+  const unlocked = area === "session" && changes[HISTORY_KEY_SESSION_KEY]?.newValue;
+  if (limitsChanged || unlocked) refreshLimits();
+});
+
+// ============================================================================
+// CONTEXT MENUS
+// ============================================================================
+
+chrome.runtime.onInstalled.addListener(() => {
+  void migrateHistoryStorage().catch((err) => {
+    console.debug("Clipboard QR Code: history migration failed", err);
+  });
+  void migrateBatchStorage().catch((err) => {
+    console.debug("Clipboard QR Code: batch migration failed", err);
+  });
+  refreshHistoryPurge();
+
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: MENU_QR_SELECTION, title: "QR for selection", contexts: ["selection"] });
+    chrome.contextMenus.create({ id: MENU_QR_LINK, title: "QR for this link", contexts: ["link"] });
+    chrome.contextMenus.create({ id: MENU_QR_PAGE, title: "QR for this page URL", contexts: ["page"] });
+    chrome.contextMenus.create({ id: MENU_DECODE_IMAGE, title: "Decode QR in this image", contexts: ["image"] });
+  });
+});
+
+// Opens the popup UI in its own window, showing `text` (or an error message).
+function openResultWindow(params) {
+  const url = new URL(chrome.runtime.getURL("popup.html"));
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return chrome.windows.create({
+    url: url.toString(),
+    type: "popup",
+    width: RESULT_WINDOW.width,
+    height: RESULT_WINDOW.height,
   });
 }
 
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
-  if (message?.type !== "COPY_CAPTURED") return;
+// Service worker has no DOM, so decode with OffscreenCanvas + jsQR.
+async function decodeQrFromUrl(srcUrl) {
+  if (typeof self.jsQR !== "function") {
+    throw new Error("QR decoder not available.");
+  }
 
+  const response = await fetch(srcUrl);
+  if (!response.ok) throw new Error(`Image request failed (${response.status}).`);
+  const bitmap = await createImageBitmap(await response.blob());
+  try {
+    const scale = Math.min(1, DECODE_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const result = self.jsQR(data, width, height, { inversionAttempts: "attemptBoth" });
+    return globalThis.ClipboardQrShared?.trimmedText?.(result?.data) ?? "";
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+async function getContextMenuPayload(info, tab) {
+  switch (info.menuItemId) {
+    case MENU_QR_SELECTION:
+      return info.selectionText ?? "";
+    case MENU_QR_LINK:
+      return info.linkUrl ?? "";
+    case MENU_QR_PAGE:
+      return info.pageUrl ?? tab?.url ?? "";
+    case MENU_DECODE_IMAGE:
+      return decodeQrFromUrl(info.srcUrl);
+    default:
+      return "";
+  }
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
   void (async () => {
     try {
-      await addCopiedTextToHistory(message?.text);
-      sendResponse({ ok: true });
+      const payload = globalThis.ClipboardQrShared?.trimmedText?.(await getContextMenuPayload(info, tab)) ?? "";
+      if (!payload) {
+        const error =
+          info.menuItemId === MENU_DECODE_IMAGE ? "No QR code found in image" : "Nothing to encode";
+        await openResultWindow({ error });
+        return;
+      }
+
+      if (await isHistoryCaptureAllowed([info.frameUrl, info.pageUrl ?? tab?.url])) {
+        await addCopiedTextToHistory({
+          text: payload,
+          method: info.menuItemId === MENU_DECODE_IMAGE ? "decode" : "context-menu",
+          sourceUrl: info.pageUrl ?? tab?.url,
+          sourceTitle: tab?.title,
+        });
+      }
+      await openResultWindow({ text: payload });
     } catch (err) {
-      console.debug("Clipboard QR Code: failed to store copy event", err);
-      sendResponse({ ok: false });
+      console.debug("Clipboard QR Code: context menu action failed", err);
+      await openResultWindow({ error: "Could not read that image" });
     }
-  })();
+  })().catch((err) => {
+    console.debug("Clipboard QR Code: could not open the result window", err);
+  });
+});
+
+// ============================================================================
+// KEYBOARD COMMAND: IN-PAGE QR OVERLAY
+// ============================================================================
+
+// Selection from whichever frame has one (content scripts share this isolated world).
+async function getSelectionInTab(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: () => globalThis.ClipboardQrShared?.extractSelectedText?.(document) ?? "",
+  });
+  const found = results.find((r) => typeof r?.result === "string" && r.result.trim());
+  return found ? found.result.trim() : "";
+}
+
+// The content script in a tab's top frame handles SHOW_QR_OVERLAY and SHOW_COPY_TOAST.
+async function sendToTopFrame(tabId, message) {
+  const client = globalThis.ClipboardQrShared.createMessageClient((request) =>
+    chrome.tabs.sendMessage(tabId, request, { frameId: 0 })
+  );
+  const response = await client.send(message);
+  if (!response.ok) throw new Error(response.error);
+  return response;
+}
+
+async function showQrOverlayInTab(tab) {
+  if (!tab?.id) return;
+  const text = (await getSelectionInTab(tab.id)) || tab.url || "";
+  if (!text) return;
+
+  // qrcode.js is only needed once the overlay is requested, so inject it on demand.
+  await chrome.scripting.executeScript({
+    target: { tabId: tab.id, frameIds: [0] },
+    files: ["qrcode.min.js"],
+  });
+  await sendToTopFrame(tab.id, { type: "SHOW_QR_OVERLAY", text });
+}
 
-  return true;
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== "show-qr-overlay") return;
+  void showQrOverlayInTab(tab).catch((err) => {
+    console.debug("Clipboard QR Code: could not show overlay on this page", err);
+  });
+});
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+const messageRouter = globalThis.ClipboardQrShared.createMessageRouter({
+  classifySender: (sender) =>
+    globalThis.ClipboardQrShared.classifyMessageSender(sender, {
+      id: chrome.runtime.id,
+      baseUrl: chrome.runtime.getURL(""),
+    }),
+  onError: (err, message) => console.debug(`Clipboard QR Code: ${message?.type} failed`, err),
+});
+
+const captureCoalescer = globalThis.ClipboardQrShared.createCaptureCoalescer();
+
+// Copy, cut and paste events from content scripts (`method`, "copy" when missing). The content
+// script already checked the capture settings and rules; check again with the browser-reported
+// URLs, and prefer what the browser reports about the sender over what the page-side script sent.
+// One copy can be reported by several frames of a tab, so repeats are dropped. Only the top frame
+// shows the copy toast; other frames send its text (`toast`) to be shown there, and `save: false`
+// when the capture rules only allow the toast.
+messageRouter.on("COPY_CAPTURED", {
+  senders: ["content"],
+  fields: {
+    text: "string",
+    method: "string?",
+    toast: "string?",
+    save: "boolean?",
+    sourceUrl: "string?",
+    sourceTitle: "string?",
+  },
+  validate: (message) =>
+    message.method == null || globalThis.ClipboardQrShared.CAPTURE_EVENTS.includes(message.method)
+      ? ""
+      : `Unknown capture event "${message.method}".`,
+  handle: async (message, sender) => {
+    const tabId = sender?.tab?.id;
+    const route = globalThis.ClipboardQrShared.routeCaptureReport(captureCoalescer, tabId, message);
+    if (route.toast && sender?.frameId && tabId !== undefined) {
+      void sendToTopFrame(tabId, { type: "SHOW_COPY_TOAST", text: message.toast }).catch((err) => {
+        console.debug("Clipboard QR Code: could not show the copy toast", err);
+      });
+    }
+    if (route.duplicate) return { skipped: true, duplicate: true };
+    if (!route.save) return { skipped: true };
+    try {
+      const method = message.method ?? "copy";
+      if (!(await isHistoryCaptureAllowed([sender?.url, sender?.tab?.url], method))) {
+        // A frame from an excluded site doesn't stand in for the other frames' report.
+        captureCoalescer.forget(tabId, message.text);
+        return { skipped: true };
+      }
+      const decision = await addCopiedTextToHistory({
+        text: message.text,
+        method,
+        sourceUrl: sender?.url ?? message.sourceUrl,
+        sourceTitle: sender?.tab?.title || message.sourceTitle,
+      });
+      return { action: decision?.action };
+    } catch (err) {
+      // Let the content script's retry through.
+      captureCoalescer.forget(tabId, message.text);
+      throw err;
+    }
+  },
+});
+
+// Extension pages (popup, history browser, options) send every history change here so it goes
+// through the same queue as captures, purges and limit trims.
+messageRouter.on("HISTORY_UPDATE", {
+  fields: { op: "object", baseRevision: "number?", lastSeen: "string?" },
+  validate: (message) => globalThis.ClipboardQrShared.validateHistoryOperation(message.op),
+  handle: applyHistoryUpdate,
+});
+
+messageRouter.on("HISTORY_LOCK", {
+  fields: { action: "string", lock: "object?", key: "string?" },
+  validate: (message) =>
+    ["enable", "disable", "reset"].includes(message.action) ? "" : `Unknown lock action "${message.action}".`,
+  handle: changeHistoryLock,
 });
+
+chrome.runtime.onMessage.addListener(messageRouter.listener);
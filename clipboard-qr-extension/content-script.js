@@ -1,29 +1,40 @@
-// Shows an optional toast when user copies on the page.
-// Primary persistence path: service worker message.
-// Fallback path: direct storage write when messaging is unavailable.
+// Shows an optional toast when user copies (or cuts) on the page.
+// Cut and paste are only captured when turned on in the options (see shared.normalizeCaptureEvents).
+// Copies are stored by the service worker (the only history writer); the message is retried
+// a few times in case the worker is still starting up.
 
 const shared = globalThis.ClipboardQrShared;
 
 const SHOW_TOAST_KEY = "showCopyToast";
-const STORAGE_KEY = "clipboardHistory";
-const HISTORY_LIMIT = 15;
+const CAPTURE_RULES_KEY = "captureRules";
+const SENSITIVE_HANDLING_KEY = "sensitiveHandling";
+const CAPTURE_EVENTS_KEY = "captureEvents";
 const TOAST_ID = "cqr-copy-toast";
 const TOAST_MAX_TEXT_LENGTH = 120;
 const TOAST_HIDE_DELAY_MS = 2200;
 const MESSAGE_TIMEOUT_MS = 800;
-const enqueueFallbackWrite =
-  shared?.createSerialQueue?.() ?? ((task) => Promise.resolve().then(task));
+const MESSAGE_RETRY_DELAYS_MS = [250, 1000];
+const QR_OPTIONS_KEY = "qrOptions";
+const OVERLAY_ID = "cqr-qr-overlay";
+const OVERLAY_SIZES = [256, 512];
+const OVERLAY_MAX_TEXT_LENGTH = 200;
+const IS_TOP_FRAME = window.top === window;
 let toastHideTimeoutId = null;
+let overlayState = null; // { text, sizeIndex, options, restoreFocus }
 
 function getCopiedText(ev) {
   const extracted = shared?.extractCopiedTextFromCopyEvent?.(ev, document) ?? "";
   return (extracted ?? "").toString().trim();
 }
 
-function clampTextForToast(text) {
+function clampText(text, maxLength) {
   const t = (text ?? "").toString().trim();
-  if (t.length <= TOAST_MAX_TEXT_LENGTH) return t;
-  return `${t.slice(0, TOAST_MAX_TEXT_LENGTH - 3)}...`;
+  if (t.length <= maxLength) return t;
+  return `${t.slice(0, maxLength - 3)}...`;
+}
+
+function clampTextForToast(text) {
+  return clampText(text, TOAST_MAX_TEXT_LENGTH);
 }
 
 function ensureToast() {
@@ -66,79 +77,289 @@ function showCopyToast(message) {
   }, TOAST_HIDE_DELAY_MS);
 }
 
-async function addToHistoryFallback(text) {
-  return enqueueFallbackWrite(async () => {
-    const trimmed = shared?.trimmedText?.(text) ?? "";
-    if (!trimmed) return;
+function getCaptureSource() {
+  return { sourceUrl: location.href, sourceTitle: document.title };
+}
 
-    const result = await new Promise((resolve) => chrome.storage.local.get([STORAGE_KEY], resolve));
-    const history = shared?.coerceTextArray?.(result?.[STORAGE_KEY]) ?? [];
-    const updated = shared?.updateHistory?.(history, trimmed, HISTORY_LIMIT) ?? history;
-    await new Promise((resolve, reject) => {
-      chrome.storage.local.set({ [STORAGE_KEY]: updated }, () => {
-        const err = chrome.runtime?.lastError;
-        if (err) reject(err);
-        else resolve();
-      });
-    });
-  });
+// This frame plus the pages embedding it, so a rule for the outer site also covers its iframes.
+function getCaptureUrls() {
+  return [location.href, ...Array.from(location.ancestorOrigins ?? [])];
 }
 
-function sendCopyEventToBackground(text) {
+// Resolves to the worker's response, or null when it doesn't answer in time.
+function sendRuntimeMessage(message) {
   return new Promise((resolve) => {
     let settled = false;
     const timeoutId = window.setTimeout(() => {
       if (settled) return;
       settled = true;
-      resolve(false);
+      resolve(null);
     }, MESSAGE_TIMEOUT_MS);
 
     try {
-      chrome.runtime.sendMessage({ type: "COPY_CAPTURED", text }, (response) => {
+      chrome.runtime.sendMessage(message, (response) => {
         if (settled) return;
         settled = true;
         clearTimeout(timeoutId);
-        if (chrome.runtime?.lastError) {
-          resolve(false);
-          return;
-        }
-        resolve(response?.ok === true);
+        resolve(chrome.runtime?.lastError ? null : response);
       });
     } catch (_) {
       if (settled) return;
       settled = true;
       clearTimeout(timeoutId);
-      resolve(false);
+      resolve(null);
     }
   });
 }
 
-document.addEventListener(
-  "copy",
-  (e) => {
-    const text = getCopiedText(e) || null;
-    if (!text) return;
-
-    void (async () => {
-      try {
-        const showToast = await new Promise((resolve) => {
-          chrome.storage.local.get([SHOW_TOAST_KEY], (r) => {
-            resolve(r[SHOW_TOAST_KEY] === true);
-          });
-        });
-        if (showToast) {
-          const displayLabel = clampTextForToast(text) || "Item";
-          showCopyToast(`${displayLabel} is on your clipboard`);
-        }
+const messageClient = shared.createMessageClient(sendRuntimeMessage);
+
+// capture: { text, method, toast?, save } (see COPY_CAPTURED in background.js).
+async function sendCopyEventToBackground(capture) {
+  const response = await messageClient.send({ type: "COPY_CAPTURED", ...capture, ...getCaptureSource() });
+  return response.ok === true;
+}
 
-        const persistedInBackground = await sendCopyEventToBackground(text);
-        if (!persistedInBackground) {
-          await addToHistoryFallback(text);
+async function sendCopyEventWithRetry(capture) {
+  if (await sendCopyEventToBackground(capture)) return true;
+  for (const delay of MESSAGE_RETRY_DELAYS_MS) {
+    await new Promise((resolve) => window.setTimeout(resolve, delay));
+    if (await sendCopyEventToBackground(capture)) return true;
+  }
+  console.debug("Clipboard QR Code: the service worker didn't store the copy");
+  return false;
+}
+
+// The text has to be read while the event is dispatched; the rest can wait for storage.
+function onClipboardEvent(e) {
+  const method = e.type;
+  const text = getCopiedText(e) || null;
+  if (!text) return;
+
+  void (async () => {
+    try {
+      const stored = await new Promise((resolve) => {
+        chrome.storage.local.get(
+          [SHOW_TOAST_KEY, CAPTURE_RULES_KEY, SENSITIVE_HANDLING_KEY, CAPTURE_EVENTS_KEY],
+          resolve
+        );
+      });
+      if (!shared.isCaptureEventEnabled(stored?.[CAPTURE_EVENTS_KEY], method)) return;
+      const policy = shared?.resolveCapturePolicy?.(stored?.[CAPTURE_RULES_KEY], getCaptureUrls()) ?? {
+        history: true,
+        toast: true,
+      };
+      // Same decision the background makes, so the toast can say why an item wasn't saved.
+      const decision = shared.applySensitivePolicy(text, stored?.[SENSITIVE_HANDLING_KEY]);
+      let toast = "";
+      // A paste puts nothing new on the clipboard, so there's nothing to announce.
+      if (stored?.[SHOW_TOAST_KEY] === true && policy.toast && method !== "paste") {
+        if (decision.match) {
+          toast = policy.history
+            ? shared.describeSensitiveDecision(decision)
+            : `${decision.match.label} is on your clipboard`;
+        } else {
+          toast = `${clampTextForToast(text) || "Item"} is on your clipboard`;
         }
-      } catch (err) {
-        console.debug("Clipboard QR Code: failed to process copy event", err);
       }
-    })();
-  },
-  true
-);
+      // Only the top frame shows the toast; an iframe's goes through the background, which
+      // also drops the same copy reported by other frames.
+      if (toast && IS_TOP_FRAME) showCopyToast(toast);
+      const relayToast = IS_TOP_FRAME ? "" : toast;
+      if (!policy.history && !relayToast) return;
+
+      await sendCopyEventWithRetry({ text, method, toast: relayToast || undefined, save: policy.history });
+    } catch (err) {
+      console.debug(`Clipboard QR Code: failed to process ${method} event`, err);
+    }
+  })();
+}
+
+for (const type of shared.CAPTURE_EVENTS) {
+  document.addEventListener(type, onClipboardEvent, true);
+}
+
+// ============================================================================
+// QR OVERLAY (keyboard command, top frame only)
+// ============================================================================
+
+function overlayCodeSize(sizeIndex) {
+  const fit = Math.min(window.innerWidth - 80, window.innerHeight - 180);
+  return Math.max(128, Math.min(OVERLAY_SIZES[sizeIndex], fit));
+}
+
+function renderOverlayCode() {
+  const overlay = document.getElementById(OVERLAY_ID);
+  const codeEl = overlay?.querySelector(".cqr-overlay-code");
+  if (!overlayState || !codeEl) return;
+
+  const { text, options, sizeIndex } = overlayState;
+  const size = overlayCodeSize(sizeIndex);
+  codeEl.innerHTML = "";
+  codeEl.style.background = options.colorLight;
+  codeEl.style.padding = `${Math.round(size * 0.06)}px`;
+
+  if (!shared?.qrPayloadFits?.(text, options.correctLevel) || typeof QRCode !== "function") {
+    const msg = document.createElement("span");
+    msg.className = "cqr-overlay-error";
+    msg.textContent = typeof QRCode !== "function" ? "QR renderer unavailable" : "Too long for a QR code";
+    codeEl.appendChild(msg);
+    return;
+  }
+
+  new QRCode(codeEl, {
+    text,
+    width: size,
+    height: size,
+    colorDark: options.colorDark,
+    colorLight: options.colorLight,
+    correctLevel: QRCode.CorrectLevel[options.correctLevel],
+  });
+
+  const sizeBtn = overlay.querySelector('[data-action="size"]');
+  if (sizeBtn) sizeBtn.textContent = sizeIndex === 0 ? "Larger" : "Smaller";
+}
+
+async function copyOverlayImage(button) {
+  const overlay = document.getElementById(OVERLAY_ID);
+  const source = overlay?.querySelector(".cqr-overlay-code canvas");
+  if (!source || !overlayState) return;
+
+  // Re-draw with a quiet zone so the pasted image scans on its own.
+  const margin = Math.round(source.width * 0.08);
+  const canvas = document.createElement("canvas");
+  canvas.width = source.width + margin * 2;
+  canvas.height = source.height + margin * 2;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = overlayState.options.colorLight;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(source, margin, margin);
+
+  try {
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("PNG encoding failed"))), "image/png");
+    });
+    await navigator.clipboard.write([new ClipboardItem({ "image/png": blob })]);
+    button.textContent = "Copied!";
+  } catch (err) {
+    button.textContent = "Copy failed";
+    console.debug("Clipboard QR Code: failed to copy overlay image", err);
+  }
+  window.setTimeout(() => {
+    button.textContent = "Copy image";
+  }, 1500);
+}
+
+function onOverlayKeydown(e) {
+  if (e.key !== "Escape") return;
+  e.preventDefault();
+  e.stopPropagation();
+  closeQrOverlay();
+}
+
+function closeQrOverlay() {
+  document.getElementById(OVERLAY_ID)?.remove();
+  document.removeEventListener("keydown", onOverlayKeydown, true);
+  const restoreFocus = overlayState?.restoreFocus;
+  overlayState = null;
+  try {
+    restoreFocus?.focus?.();
+  } catch (_) {
+    // ignore
+  }
+}
+
+function createOverlayButton(action, label) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "cqr-overlay-btn";
+  btn.dataset.action = action;
+  btn.textContent = label;
+  return btn;
+}
+
+function ensureOverlay() {
+  let overlay = document.getElementById(OVERLAY_ID);
+  if (overlay) return overlay;
+
+  overlay = document.createElement("div");
+  overlay.id = OVERLAY_ID;
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-modal", "true");
+  overlay.setAttribute("aria-label", "QR code");
+
+  const card = document.createElement("div");
+  card.className = "cqr-overlay-card";
+  const code = document.createElement("div");
+  code.className = "cqr-overlay-code";
+  const caption = document.createElement("div");
+  caption.className = "cqr-overlay-text";
+  const actions = document.createElement("div");
+  actions.className = "cqr-overlay-actions";
+  actions.appendChild(createOverlayButton("size", "Larger"));
+  actions.appendChild(createOverlayButton("copy", "Copy image"));
+  actions.appendChild(createOverlayButton("close", "Close"));
+
+  card.appendChild(code);
+  card.appendChild(caption);
+  card.appendChild(actions);
+  overlay.appendChild(card);
+
+  overlay.addEventListener("click", (e) => {
+    if (e.target === overlay) {
+      closeQrOverlay();
+      return;
+    }
+    const btn = e.target.closest?.("[data-action]");
+    if (!btn || !overlayState) return;
+    if (btn.dataset.action === "close") closeQrOverlay();
+    if (btn.dataset.action === "copy") void copyOverlayImage(btn);
+    if (btn.dataset.action === "size") {
+      overlayState.sizeIndex = overlayState.sizeIndex === 0 ? 1 : 0;
+      renderOverlayCode();
+    }
+  });
+
+  document.documentElement.appendChild(overlay);
+  return overlay;
+}
+
+async function showQrOverlay(text) {
+  const stored = await new Promise((resolve) => chrome.storage.local.get([QR_OPTIONS_KEY], resolve));
+  const options = shared?.normalizeQrOptions?.(stored?.[QR_OPTIONS_KEY]) ?? {
+    colorDark: "#000000",
+    colorLight: "#ffffff",
+    correctLevel: "M",
+  };
+
+  const restoreFocus = overlayState?.restoreFocus ?? document.activeElement;
+  overlayState = { text, options, sizeIndex: 0, restoreFocus };
+
+  const overlay = ensureOverlay();
+  overlay.querySelector(".cqr-overlay-text").textContent = clampText(text, OVERLAY_MAX_TEXT_LENGTH);
+  renderOverlayCode();
+  document.addEventListener("keydown", onOverlayKeydown, true);
+  overlay.querySelector('[data-action="close"]')?.focus();
+}
+
+if (IS_TOP_FRAME) {
+  const messageRouter = shared.createMessageRouter({
+    // Only the service worker asks for the overlay or a toast.
+    classifySender: (sender) =>
+      shared.classifyMessageSender(sender, { id: chrome.runtime.id, baseUrl: chrome.runtime.getURL("") }),
+    onError: (err, message) => console.debug(`Clipboard QR Code: ${message?.type} failed`, err),
+  });
+  messageRouter.on("SHOW_QR_OVERLAY", {
+    fields: { text: "string" },
+    validate: (message) => (shared.trimmedText(message.text) ? "" : "Nothing to show."),
+    handle: (message) => showQrOverlay(shared.trimmedText(message.text)),
+  });
+  // Copy toasts from this page's iframes, relayed by the background.
+  messageRouter.on("SHOW_COPY_TOAST", {
+    fields: { text: "string" },
+    handle: (message) => {
+      showCopyToast(message.text);
+    },
+  });
+  chrome.runtime.onMessage.addListener(messageRouter.listener);
+}
@@ -0,0 +1,515 @@
+// Full history browser: search, preview, per-item actions and bulk actions.
+// Reads the same storage keys as the popup; history changes are sent to the service worker.
+
+// DOM Elements
+const searchInput = document.getElementById("history-search");
+const methodFilter = document.getElementById("filter-method");
+const hostFilter = document.getElementById("filter-host");
+const selectAllCheckbox = document.getElementById("select-all");
+const resultCountEl = document.getElementById("result-count");
+const sendToBatchBtn = document.getElementById("send-selected-to-batch");
+const deleteSelectedBtn = document.getElementById("delete-selected");
+const clearHistoryBtn = document.getElementById("clear-history");
+const pageStatusEl = document.getElementById("page-status");
+const historyList = document.getElementById("history-list");
+const historyEmpty = document.getElementById("history-empty");
+const historyLockedEl = document.getElementById("history-locked");
+
+// Storage keys (see popup.js)
+const STORAGE_KEY = "clipboardHistory";
+const HISTORY_REVISION_KEY = "historyRevision";
+const BATCH_MODE_KEY = "batchMode";
+const BATCHES_KEY = "batches";
+const LEGACY_BATCH_KEYS = ["batchItems", "batchIndex", "batchCaptions"];
+const QR_OPTIONS_KEY = "qrOptions";
+const HISTORY_KEY_SESSION_KEY = "historyKey"; // chrome.storage.session, while encrypted history is unlocked
+const RETENTION_KEY = "historyRetention";
+const LIMITS_KEY = "limits";
+const THUMB_SIZE = 128;
+const SEARCH_DEBOUNCE_MS = 150;
+const RESULT_WINDOW = { width: 290, height: 620 };
+
+const shared = globalThis.ClipboardQrShared;
+
+let history = [];
+let historyKey = null; // CryptoKey while encrypted history is unlocked
+let historyLocked = false;
+let retention = shared.normalizeRetention(null);
+let limits = shared.normalizeLimits();
+const enqueueHistoryWrite = shared.createSerialQueue();
+const messageClient = shared.createMessageClient((message) => chrome.runtime.sendMessage(message));
+const historyClient = shared.createHistoryClient((message) => messageClient.send(message));
+let qrOptions = { ...shared.DEFAULT_QR_OPTIONS };
+let visibleEntries = [];
+const selectedTexts = new Set();
+let statusTimeoutId = null;
+
+function storageGet(keys) {
+  return new Promise((resolve) => chrome.storage.local.get(keys, resolve));
+}
+
+function debounce(func, wait) {
+  let timeout;
+  return (...args) => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => func(...args), wait);
+  };
+}
+
+function storageSet(obj) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(obj, () => {
+      const err = chrome.runtime?.lastError;
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+function showStatus(message, type = "") {
+  pageStatusEl.textContent = message;
+  pageStatusEl.className = "page-status";
+  if (type) pageStatusEl.classList.add(type);
+  clearTimeout(statusTimeoutId);
+  statusTimeoutId = setTimeout(() => {
+    pageStatusEl.textContent = "";
+    pageStatusEl.className = "page-status";
+  }, 2500);
+}
+
+// Reads history, decrypting it when history lock is on (it stays empty while locked).
+async function loadHistory(storedValue) {
+  const session = await new Promise((resolve) =>
+    chrome.storage.session.get([HISTORY_KEY_SESSION_KEY], resolve)
+  );
+  const rawKey = session?.[HISTORY_KEY_SESSION_KEY];
+  try {
+    historyKey = rawKey ? await shared.importHistoryKey(rawKey) : null;
+    const result = await shared.readStoredHistory(storedValue, historyKey);
+    // Hide entries that expired since the background's last purge run.
+    history = shared.purgeExpiredHistory(result.history, retention).history;
+    historyLocked = result.locked;
+  } catch (err) {
+    console.error("Failed to decrypt history", err);
+    history = [];
+    historyLocked = true;
+  }
+}
+
+// Shows `op` (see shared.applyHistoryOperation) right away and has the service worker store it.
+async function saveHistory(op, message) {
+  if (historyLocked) return;
+  history = shared.applyHistoryOperation(history, op, { limit: limits.historyLimit });
+  render();
+  try {
+    await enqueueHistoryWrite(async () => {
+      const response = await historyClient.update(op);
+      if (!response?.ok) throw new Error(response?.error ?? "History update failed");
+    });
+    if (message) showStatus(message, "success");
+  } catch (err) {
+    showStatus("Failed to save history", "error");
+    console.error("Failed to save history", err);
+  }
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+// Thumbnails are drawn as rows scroll into view, so long histories render quickly.
+const thumbnailObserver = new IntersectionObserver(
+  (observed) => {
+    for (const { isIntersecting, target } of observed) {
+      if (!isIntersecting) continue;
+      thumbnailObserver.unobserve(target);
+      renderThumbnail(target, target.dataset.text);
+    }
+  },
+  { rootMargin: "200px" }
+);
+
+function renderThumbnail(container, text) {
+  if (!shared.qrPayloadFits(text, qrOptions.correctLevel)) {
+    const msg = document.createElement("span");
+    msg.className = "thumb-error";
+    msg.textContent = "Too long for a QR code";
+    container.appendChild(msg);
+    return;
+  }
+  container.style.background = qrOptions.colorLight;
+  try {
+    new QRCode(container, {
+      text,
+      width: THUMB_SIZE,
+      height: THUMB_SIZE,
+      colorDark: qrOptions.colorDark,
+      colorLight: qrOptions.colorLight,
+      correctLevel: QRCode.CorrectLevel[qrOptions.correctLevel],
+    });
+  } catch (err) {
+    console.error("Thumbnail generation failed", err);
+  }
+}
+
+function createActionButton(action, label) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "btn";
+  btn.dataset.action = action;
+  btn.textContent = label;
+  return btn;
+}
+
+function createBadge(text) {
+  const badge = document.createElement("span");
+  badge.className = "badge";
+  badge.textContent = text;
+  return badge;
+}
+
+function createHistoryRow(entry) {
+  const li = document.createElement("li");
+  li.className = "history-item";
+  li.dataset.text = entry.text;
+  li.classList.toggle("selected", selectedTexts.has(entry.text));
+
+  const selectWrap = document.createElement("div");
+  selectWrap.className = "item-select";
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.dataset.action = "select";
+  checkbox.checked = selectedTexts.has(entry.text);
+  checkbox.setAttribute("aria-label", "Select item");
+  selectWrap.appendChild(checkbox);
+
+  const thumb = document.createElement("div");
+  thumb.className = "item-thumb";
+  thumb.dataset.text = entry.text;
+  thumbnailObserver.observe(thumb);
+
+  const body = document.createElement("div");
+  body.className = "item-body";
+  const meta = document.createElement("div");
+  meta.className = "item-meta";
+  if (entry.pinned) {
+    const badge = document.createElement("span");
+    badge.className = "badge pinned";
+    badge.textContent = entry.label ? `Pinned · ${entry.label}` : "Pinned";
+    meta.appendChild(badge);
+  }
+  if (entry.method) {
+    meta.appendChild(createBadge(shared.CAPTURE_METHOD_LABELS[entry.method]));
+  }
+  if (entry.capturedAt) {
+    const time = createBadge(new Date(entry.capturedAt).toLocaleString());
+    time.title = new Date(entry.capturedAt).toISOString();
+    meta.appendChild(time);
+  }
+  if (entry.sourceUrl) {
+    const source = createBadge("");
+    const link = document.createElement("a");
+    link.href = entry.sourceUrl;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    link.textContent = entry.sourceTitle || shared.getSourceHost(entry.sourceUrl);
+    link.title = entry.sourceUrl;
+    source.appendChild(link);
+    meta.appendChild(source);
+  }
+  meta.appendChild(createBadge(`${entry.text.length} chars`));
+  const text = document.createElement("pre");
+  text.className = "item-text";
+  text.textContent = entry.text;
+  body.appendChild(meta);
+  body.appendChild(text);
+
+  const actions = document.createElement("div");
+  actions.className = "item-actions";
+  actions.appendChild(createActionButton("copy", "Copy"));
+  actions.appendChild(createActionButton("reencode", "Re-encode"));
+  const pinBtn = createActionButton("pin", entry.pinned ? "Unpin" : "Pin");
+  pinBtn.setAttribute("aria-pressed", String(entry.pinned));
+  actions.appendChild(pinBtn);
+  const deleteBtn = createActionButton("delete", "Delete");
+  deleteBtn.classList.add("danger");
+  actions.appendChild(deleteBtn);
+
+  li.appendChild(selectWrap);
+  li.appendChild(thumb);
+  li.appendChild(body);
+  li.appendChild(actions);
+  return li;
+}
+
+// Rows by entry text, reused while their entry is unchanged so searching or a history write
+// doesn't rebuild every row and thumbnail. Emptied when the QR options change.
+const rowCache = new Map(); // text -> { signature, row }
+
+function getHistoryRow(entry) {
+  const signature = JSON.stringify(entry);
+  const cached = rowCache.get(entry.text);
+  if (cached?.signature === signature) {
+    const selected = selectedTexts.has(entry.text);
+    cached.row.classList.toggle("selected", selected);
+    cached.row.querySelector('[data-action="select"]').checked = selected;
+    return cached.row;
+  }
+  if (cached) thumbnailObserver.unobserve(cached.row.querySelector(".item-thumb"));
+  const row = createHistoryRow(entry);
+  rowCache.set(entry.text, { signature, row });
+  return row;
+}
+
+function forgetHistoryRows() {
+  thumbnailObserver.disconnect();
+  rowCache.clear();
+}
+
+function updateSelectionControls() {
+  const visibleSelected = visibleEntries.filter((e) => selectedTexts.has(e.text)).length;
+  selectAllCheckbox.checked = visibleEntries.length > 0 && visibleSelected === visibleEntries.length;
+  selectAllCheckbox.indeterminate = visibleSelected > 0 && visibleSelected < visibleEntries.length;
+  sendToBatchBtn.disabled = selectedTexts.size === 0;
+  deleteSelectedBtn.disabled = selectedTexts.size === 0;
+
+  const total = history.length;
+  const shown = visibleEntries.length;
+  const countLabel = shown === total ? `${total} items` : `${shown} of ${total} items`;
+  resultCountEl.textContent = selectedTexts.size
+    ? `${countLabel} · ${selectedTexts.size} selected`
+    : countLabel;
+}
+
+// Rebuilds a filter <select> from `values`, keeping the current choice while it still exists.
+function fillFilterOptions(select, values, labelFor) {
+  const current = select.value;
+  const allOption = select.options[0];
+  select.innerHTML = "";
+  select.appendChild(allOption);
+  for (const value of values) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = labelFor(value);
+    select.appendChild(option);
+  }
+  select.value = values.includes(current) ? current : "";
+}
+
+function updateFilterOptions() {
+  const methods = shared.CAPTURE_METHODS.filter((m) => history.some((e) => e.method === m));
+  fillFilterOptions(methodFilter, methods, (m) => shared.CAPTURE_METHOD_LABELS[m]);
+  const hosts = [...new Set(history.map((e) => shared.getSourceHost(e.sourceUrl)).filter(Boolean))];
+  fillFilterOptions(hostFilter, hosts.sort(), (h) => h);
+}
+
+function render() {
+  // Forget selections for items that no longer exist.
+  const existing = new Set(history.map((e) => e.text));
+  for (const t of [...selectedTexts]) {
+    if (!existing.has(t)) selectedTexts.delete(t);
+  }
+  for (const [text, { row }] of rowCache) {
+    if (existing.has(text)) continue;
+    thumbnailObserver.unobserve(row.querySelector(".item-thumb"));
+    rowCache.delete(text);
+  }
+
+  updateFilterOptions();
+  visibleEntries = shared.filterHistory(history, searchInput.value, {
+    method: methodFilter.value,
+    host: hostFilter.value,
+  });
+  const rows = document.createDocumentFragment();
+  for (const entry of visibleEntries) {
+    rows.appendChild(getHistoryRow(entry));
+  }
+  historyList.replaceChildren(rows);
+  historyEmpty.classList.toggle("hidden", visibleEntries.length > 0 || historyLocked);
+  historyLockedEl.classList.toggle("hidden", !historyLocked);
+  searchInput.disabled = historyLocked;
+  updateSelectionControls();
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    showStatus("Copied to clipboard!", "success");
+  } catch (err) {
+    showStatus("Failed to copy", "error");
+    console.error("Failed to copy to clipboard", err);
+  }
+}
+
+// Moves the item to the top of history and opens it in the popup editor.
+async function reencode(text) {
+  await saveHistory({ kind: "add", entries: [{ text }] });
+  const url = new URL(chrome.runtime.getURL("popup.html"));
+  url.searchParams.set("text", text);
+  chrome.windows.create({
+    url: url.toString(),
+    type: "popup",
+    width: RESULT_WINDOW.width,
+    height: RESULT_WINDOW.height,
+  });
+}
+
+async function sendSelectedToBatch() {
+  const selected = shared
+    .sortHistoryForDisplay(history)
+    .map((e) => e.text)
+    .filter((t) => selectedTexts.has(t));
+  if (!selected.length || historyLocked) return;
+
+  try {
+    // historyKey is only set while history lock is on; batches are encrypted with it then.
+    const stored = await storageGet([BATCHES_KEY, ...LEGACY_BATCH_KEYS]);
+    const { batches } = await shared.readStoredBatches(stored?.[BATCHES_KEY], historyKey, stored);
+    const current = shared.getActiveBatch(batches).items;
+    const additions = selected.filter((t) => !current.includes(t));
+    const combined = [...current, ...additions];
+    const items = combined.slice(0, limits.batchLimit);
+    const dropped = combined.length - items.length;
+    const updated = shared.updateActiveBatch(batches, {
+      items,
+      index: current.length < items.length ? current.length : 0,
+    });
+    await storageSet({
+      [BATCH_MODE_KEY]: true,
+      [BATCHES_KEY]: await shared.encodeBatchesForStorage(updated, historyKey),
+    });
+    selectedTexts.clear();
+    render();
+    showStatus(
+      dropped > 0
+        ? `Added ${additions.length - dropped} to batch (limit ${limits.batchLimit}, ${dropped} skipped)`
+        : `Added ${additions.length} to batch`,
+      dropped > 0 ? "error" : "success"
+    );
+  } catch (err) {
+    showStatus("Failed to update batch", "error");
+    console.error("Failed to send items to batch", err);
+  }
+}
+
+historyList.addEventListener("click", (e) => {
+  const target = e.target.closest?.("[data-action]");
+  const row = e.target.closest?.(".history-item");
+  if (!target || !row) return;
+  const text = row.dataset.text;
+  const entry = history.find((h) => h.text === text);
+  if (!entry) return;
+
+  switch (target.dataset.action) {
+    case "select":
+      if (target.checked) selectedTexts.add(text);
+      else selectedTexts.delete(text);
+      row.classList.toggle("selected", target.checked);
+      updateSelectionControls();
+      break;
+    case "copy":
+      void copyText(text);
+      break;
+    case "reencode":
+      void reencode(text);
+      break;
+    case "pin":
+      void saveHistory({ kind: "pin", text, pinned: !entry.pinned }, entry.pinned ? "Unpinned" : "Pinned");
+      break;
+    case "delete":
+      void saveHistory({ kind: "remove", texts: [text] }, "Deleted");
+      break;
+  }
+});
+
+selectAllCheckbox.addEventListener("change", () => {
+  for (const entry of visibleEntries) {
+    if (selectAllCheckbox.checked) selectedTexts.add(entry.text);
+    else selectedTexts.delete(entry.text);
+  }
+  render();
+});
+
+deleteSelectedBtn.addEventListener("click", () => {
+  const count = selectedTexts.size;
+  if (!count) return;
+  if (!window.confirm(`Delete ${count} selected item${count === 1 ? "" : "s"}?`)) return;
+  void saveHistory({ kind: "remove", texts: [...selectedTexts] }, `Deleted ${count} items`);
+});
+
+// Clearing goes through the service worker so it is queued with captures (see background.js).
+async function clearAllHistory() {
+  const scope = retention.keepPinned ? "all unpinned items" : "all items, including pinned ones";
+  if (!window.confirm(`Clear ${scope} from history?`)) return;
+  try {
+    const response = await messageClient.send({ type: "HISTORY_UPDATE", op: { kind: "clear" } });
+    if (!response?.ok) throw new Error(response?.error ?? "Failed to clear history");
+    selectedTexts.clear();
+    showStatus("History cleared", "success");
+  } catch (err) {
+    showStatus(err.message, "error");
+    console.error("Failed to clear history", err);
+  }
+}
+
+clearHistoryBtn.addEventListener("click", () => {
+  void clearAllHistory();
+});
+
+sendToBatchBtn.addEventListener("click", () => {
+  void sendSelectedToBatch();
+});
+
+searchInput.addEventListener("input", debounce(render, SEARCH_DEBOUNCE_MS));
+methodFilter.addEventListener("change", render);
+hostFilter.addEventListener("change", render);
+
+// Keep the page current while the service worker writes history.
+// Unlocking or locking in the popup changes the session key.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "session" && changes[HISTORY_KEY_SESSION_KEY]) {
+    void (async () => {
+      const stored = await storageGet([STORAGE_KEY]);
+      await loadHistory(stored?.[STORAGE_KEY]);
+      render();
+    })();
+    return;
+  }
+  if (area !== "local") return;
+  void (async () => {
+    if (changes[QR_OPTIONS_KEY]) {
+      qrOptions = shared.normalizeQrOptions(changes[QR_OPTIONS_KEY].newValue);
+      forgetHistoryRows();
+    }
+    if (changes[RETENTION_KEY]) {
+      retention = shared.normalizeRetention(changes[RETENTION_KEY].newValue);
+    }
+    if (changes[LIMITS_KEY]) {
+      limits = shared.normalizeLimits(changes[LIMITS_KEY].newValue);
+    }
+    if (changes[HISTORY_REVISION_KEY]) historyClient.observe(changes[HISTORY_REVISION_KEY].newValue);
+    if (changes[STORAGE_KEY]) {
+      await loadHistory(changes[STORAGE_KEY].newValue);
+    }
+    if (changes[STORAGE_KEY] || changes[QR_OPTIONS_KEY]) render();
+  })();
+});
+
+async function init() {
+  const stored = await storageGet([STORAGE_KEY, HISTORY_REVISION_KEY, QR_OPTIONS_KEY, RETENTION_KEY, LIMITS_KEY]);
+  historyClient.observe(stored?.[HISTORY_REVISION_KEY]);
+  retention = shared.normalizeRetention(stored?.[RETENTION_KEY]);
+  limits = shared.normalizeLimits(stored?.[LIMITS_KEY]);
+  await loadHistory(stored?.[STORAGE_KEY]);
+  qrOptions = shared.normalizeQrOptions(stored?.[QR_OPTIONS_KEY]);
+  render();
+  searchInput.focus();
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  void init();
+});
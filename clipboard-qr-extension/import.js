@@ -0,0 +1,346 @@
+// Batch builder: generates items from sequence patterns (shared.expandSequencePatterns), or reads
+// a CSV or XLSX file and maps its columns to items (shared.buildBatchImport). Both show a preview
+// before anything changes the batch.
+
+// DOM Elements
+const patternsInput = document.getElementById("generate-patterns");
+const generateSummaryEl = document.getElementById("generate-summary");
+const generateErrorEl = document.getElementById("generate-error");
+const generatePreviewEl = document.getElementById("generate-preview");
+const generateAppendBtn = document.getElementById("generate-append");
+const generateApplyBtn = document.getElementById("generate-apply");
+const fileInput = document.getElementById("import-file");
+const hasHeaderCheckbox = document.getElementById("import-has-header");
+const fileInfoEl = document.getElementById("import-file-info");
+const mappingSection = document.getElementById("import-mapping");
+const payloadColumnSelect = document.getElementById("import-payload-column");
+const captionColumnSelect = document.getElementById("import-caption-column");
+const templateInput = document.getElementById("import-template");
+const importErrorEl = document.getElementById("import-error");
+const previewSection = document.getElementById("import-preview");
+const summaryEl = document.getElementById("import-summary");
+const rowsBody = document.getElementById("import-rows");
+const truncatedEl = document.getElementById("import-truncated");
+const applyBtn = document.getElementById("import-apply");
+const pageStatusEl = document.getElementById("page-status");
+
+// Storage keys (see popup.js)
+const BATCH_MODE_KEY = "batchMode";
+const BATCHES_KEY = "batches"; // named batches; imports go into the active one
+const LEGACY_BATCH_KEYS = ["batchItems", "batchIndex", "batchCaptions"];
+const QR_OPTIONS_KEY = "qrOptions";
+const LIMITS_KEY = "limits";
+const HISTORY_LOCK_KEY = "historyLock";
+const HISTORY_KEY_SESSION_KEY = "historyKey"; // chrome.storage.session, while encrypted history is unlocked
+const PREVIEW_ROW_LIMIT = 200;
+const GENERATE_PREVIEW_LIMIT = 100;
+const PAYLOAD_COLUMN_NAMES = ["payload", "url", "link", "id", "code"];
+const CAPTION_COLUMN_NAMES = ["caption", "label", "name", "title", "description"];
+
+const shared = globalThis.ClipboardQrShared;
+
+let sourceRows = [];
+let importResult = null;
+let generated = null;
+let qrOptions = { ...shared.DEFAULT_QR_OPTIONS };
+let limits = shared.normalizeLimits();
+let statusTimeoutId = null;
+
+function storageGet(keys) {
+  return new Promise((resolve) => chrome.storage.local.get(keys, resolve));
+}
+
+function sessionStorageGet(keys) {
+  return new Promise((resolve) => chrome.storage.session.get(keys, resolve));
+}
+
+function storageSet(obj) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(obj, () => {
+      const err = chrome.runtime?.lastError;
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+function showStatus(message, type = "") {
+  pageStatusEl.textContent = message;
+  pageStatusEl.className = "page-status";
+  if (type) pageStatusEl.classList.add(type);
+  clearTimeout(statusTimeoutId);
+  statusTimeoutId = setTimeout(() => {
+    pageStatusEl.textContent = "";
+    pageStatusEl.className = "page-status";
+  }, 2500);
+}
+
+// Batches are encrypted with the history key while history lock is on; resolves to the batches
+// and that key (null when the lock is off). Rejects while history is locked.
+async function readBatches() {
+  const stored = await storageGet([BATCHES_KEY, HISTORY_LOCK_KEY, ...LEGACY_BATCH_KEYS]);
+  const session = await sessionStorageGet([HISTORY_KEY_SESSION_KEY]);
+  const { locked, key } = await shared.resolveBatchKey(stored?.[HISTORY_LOCK_KEY], session?.[HISTORY_KEY_SESSION_KEY]);
+  if (locked) throw new Error("History is locked. Unlock it in the popup to change the batch.");
+  const { batches } = await shared.readStoredBatches(stored?.[BATCHES_KEY], key, stored);
+  return { batches, key };
+}
+
+// Applies `patch` ({ items, index, captions }) to the active batch and switches batch mode on.
+async function updateActiveBatch(patch) {
+  const { batches, key } = await readBatches();
+  const updated = shared.updateActiveBatch(batches, patch);
+  await storageSet({ [BATCH_MODE_KEY]: true, [BATCHES_KEY]: await shared.encodeBatchesForStorage(updated, key) });
+}
+
+// Replaces the active batch's items (and captions from an earlier import) and starts its progress afresh.
+async function saveBatch(items, captions) {
+  await updateActiveBatch({ items, index: 0, captions, statuses: [] });
+}
+
+// Asks before replacing a non-empty batch; resolves to false when the user cancels.
+async function confirmReplaceBatch() {
+  const active = shared.getActiveBatch((await readBatches()).batches);
+  return !active.items.length || window.confirm(`Replace the ${active.items.length} items in "${active.name}"?`);
+}
+
+// ============================================================================
+// GENERATOR
+// ============================================================================
+
+function renderGenerated() {
+  const hasPatterns = Boolean(patternsInput.value.trim());
+  generated = hasPatterns ? shared.expandSequencePatterns(patternsInput.value, { limit: limits.batchLimit }) : null;
+  generateErrorEl.textContent = generated?.errors.join("\n") ?? "";
+  generateSummaryEl.textContent = generated?.ok
+    ? `${generated.count} ${generated.count === 1 ? "item" : "items"} (batch limit ${limits.batchLimit})`
+    : "";
+
+  generatePreviewEl.innerHTML = "";
+  const items = generated?.items ?? [];
+  for (const item of items.slice(0, GENERATE_PREVIEW_LIMIT)) {
+    const li = document.createElement("li");
+    li.textContent = item;
+    generatePreviewEl.appendChild(li);
+  }
+  if (items.length > GENERATE_PREVIEW_LIMIT) {
+    const more = document.createElement("li");
+    more.textContent = `… and ${items.length - GENERATE_PREVIEW_LIMIT} more`;
+    generatePreviewEl.appendChild(more);
+  }
+  generatePreviewEl.classList.toggle("hidden", items.length === 0);
+  generateApplyBtn.disabled = items.length === 0;
+  generateAppendBtn.disabled = items.length === 0;
+}
+
+async function applyGenerated(append) {
+  if (!generated?.ok || !generated.items.length) return;
+  try {
+    if (append) {
+      const current = shared.getActiveBatch((await readBatches()).batches).items;
+      const total = current.length + generated.items.length;
+      if (total > limits.batchLimit) {
+        generateErrorEl.textContent = `The batch would have ${total} items, over the limit of ${limits.batchLimit}.`;
+        return;
+      }
+      await updateActiveBatch({ items: [...current, ...generated.items] });
+      showStatus(`Added ${generated.items.length} items to the batch`, "success");
+      return;
+    }
+    if (!(await confirmReplaceBatch())) return;
+    await saveBatch(generated.items, {});
+    showStatus(`Batch replaced with ${generated.items.length} items`, "success");
+  } catch (err) {
+    showStatus(err instanceof Error ? err.message : "Failed to update batch", "error");
+    console.error("Failed to save generated batch", err);
+  }
+}
+
+// ============================================================================
+// FILE READING
+// ============================================================================
+
+async function readXlsxRows(file) {
+  if (!window.XLSX?.read || !window.XLSX?.utils?.sheet_to_json) {
+    throw new Error("XLSX parser not available. Expected xlsx.full.min.js.");
+  }
+
+  const data = await file.arrayBuffer();
+  const workbook = window.XLSX.read(data, { type: "array" });
+  const firstSheetName = workbook.SheetNames?.[0];
+  if (!firstSheetName) {
+    throw new Error("No worksheet found in Excel file.");
+  }
+
+  const rows = window.XLSX.utils.sheet_to_json(workbook.Sheets[firstSheetName], {
+    header: 1,
+    raw: false,
+    defval: "",
+    blankrows: false,
+  });
+
+  return rows.map((row) => (Array.isArray(row) ? row.map((cell) => String(cell ?? "")) : []));
+}
+
+async function readImportRows(file) {
+  if (/\.xlsx?$/i.test(file.name)) return readXlsxRows(file);
+  const text = await file.text();
+  return shared.parseCsvRows(text, /\.tsv$/i.test(file.name) ? "\t" : undefined);
+}
+
+// ============================================================================
+// MAPPING & PREVIEW
+// ============================================================================
+
+function columnLabel(index) {
+  const header = hasHeaderCheckbox.checked ? shared.trimmedText(sourceRows[0]?.[index]) : "";
+  return header ? `${header} (column ${index + 1})` : `Column ${index + 1}`;
+}
+
+// First column whose header is one of `names`, else `fallback`.
+function guessColumn(names, fallback) {
+  if (!hasHeaderCheckbox.checked) return fallback;
+  for (const name of names) {
+    const index = shared.getColumnIndex(sourceRows[0], name);
+    if (index >= 0) return index;
+  }
+  return fallback;
+}
+
+function fillColumnSelects() {
+  const columnCount = Math.max(0, ...sourceRows.map((row) => row.length));
+  payloadColumnSelect.innerHTML = "";
+  captionColumnSelect.innerHTML = "";
+  captionColumnSelect.appendChild(new Option("None", "-1"));
+  for (let i = 0; i < columnCount; i++) {
+    payloadColumnSelect.appendChild(new Option(columnLabel(i), String(i)));
+    captionColumnSelect.appendChild(new Option(columnLabel(i), String(i)));
+  }
+  const payloadColumn = guessColumn(PAYLOAD_COLUMN_NAMES, 0);
+  payloadColumnSelect.value = String(payloadColumn);
+  const captionColumn = guessColumn(CAPTION_COLUMN_NAMES, -1);
+  captionColumnSelect.value = String(captionColumn === payloadColumn ? -1 : captionColumn);
+}
+
+function createPreviewRow(row) {
+  const tr = document.createElement("tr");
+  const number = document.createElement("td");
+  number.className = "row-number";
+  number.textContent = String(row.rowNumber);
+  const payload = document.createElement("td");
+  payload.className = "payload";
+  payload.textContent = row.payload;
+  const caption = document.createElement("td");
+  caption.textContent = row.caption;
+  const status = document.createElement("td");
+  status.className = row.status === "ok" ? "status-ok" : "status-problem";
+  status.textContent = shared.BATCH_IMPORT_STATUS_LABELS[row.status];
+  tr.append(number, payload, caption, status);
+  return tr;
+}
+
+function renderPreview() {
+  importResult = shared.buildBatchImport(sourceRows, {
+    hasHeader: hasHeaderCheckbox.checked,
+    payloadColumn: Number(payloadColumnSelect.value),
+    captionColumn: Number(captionColumnSelect.value),
+    template: templateInput.value,
+    correctLevel: qrOptions.correctLevel,
+    limit: limits.batchLimit,
+  });
+  payloadColumnSelect.disabled = Boolean(shared.trimmedText(templateInput.value));
+  importErrorEl.textContent = importResult.errors.join("\n");
+
+  rowsBody.innerHTML = "";
+  for (const row of importResult.rows.slice(0, PREVIEW_ROW_LIMIT)) {
+    rowsBody.appendChild(createPreviewRow(row));
+  }
+  const total = importResult.rows.length;
+  truncatedEl.textContent = `Showing the first ${PREVIEW_ROW_LIMIT} of ${total} rows.`;
+  truncatedEl.classList.toggle("hidden", total <= PREVIEW_ROW_LIMIT);
+  summaryEl.textContent = shared.describeBatchImport(importResult.summary);
+  applyBtn.disabled = importResult.errors.length > 0 || importResult.items.length === 0;
+  applyBtn.textContent = `Replace batch with ${importResult.items.length} items`;
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+async function loadFile(file) {
+  fileInfoEl.textContent = `Reading ${file.name}…`;
+  try {
+    sourceRows = await readImportRows(file);
+  } catch (err) {
+    sourceRows = [];
+    fileInfoEl.textContent = "";
+    mappingSection.classList.add("hidden");
+    previewSection.classList.add("hidden");
+    showStatus(err instanceof Error ? err.message : "Failed to read file", "error");
+    console.error("Failed to read import file", err);
+    return;
+  }
+  fileInfoEl.textContent = `${file.name}: ${sourceRows.length} rows`;
+  const hasRows = sourceRows.length > 0;
+  mappingSection.classList.toggle("hidden", !hasRows);
+  previewSection.classList.toggle("hidden", !hasRows);
+  if (!hasRows) {
+    showStatus("The file has no rows", "error");
+    return;
+  }
+  fillColumnSelects();
+  renderPreview();
+}
+
+async function applyImport() {
+  if (!importResult || applyBtn.disabled) return;
+
+  try {
+    if (!(await confirmReplaceBatch())) return;
+    await saveBatch(importResult.items, importResult.captions);
+    showStatus(`Batch replaced with ${importResult.items.length} items`, "success");
+  } catch (err) {
+    showStatus(err instanceof Error ? err.message : "Failed to update batch", "error");
+    console.error("Failed to save imported batch", err);
+  }
+}
+
+fileInput.addEventListener("change", () => {
+  const file = fileInput.files?.[0];
+  if (file) void loadFile(file);
+});
+
+hasHeaderCheckbox.addEventListener("change", () => {
+  if (!sourceRows.length) return;
+  fillColumnSelects();
+  renderPreview();
+});
+
+for (const control of [payloadColumnSelect, captionColumnSelect]) {
+  control.addEventListener("change", renderPreview);
+}
+templateInput.addEventListener("input", renderPreview);
+
+applyBtn.addEventListener("click", () => {
+  void applyImport();
+});
+
+patternsInput.addEventListener("input", renderGenerated);
+
+generateApplyBtn.addEventListener("click", () => {
+  void applyGenerated(false);
+});
+
+generateAppendBtn.addEventListener("click", () => {
+  void applyGenerated(true);
+});
+
+async function init() {
+  const stored = await storageGet([QR_OPTIONS_KEY, LIMITS_KEY]);
+  qrOptions = shared.normalizeQrOptions(stored?.[QR_OPTIONS_KEY]);
+  limits = shared.normalizeLimits(stored?.[LIMITS_KEY]);
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  void init();
+});
@@ -0,0 +1,510 @@
+// Options page: per-site capture rules, sensitive-content handling, limits, retention and history encryption.
+// The content script and background read the same storage keys (see shared.resolveCapturePolicy,
+// shared.applySensitivePolicy and shared.readStoredHistory).
+
+// DOM Elements
+const defaultHistorySelect = document.getElementById("default-history");
+const defaultToastSelect = document.getElementById("default-toast");
+const rulesBody = document.getElementById("rules-body");
+const rulesEmpty = document.getElementById("rules-empty");
+const ruleForm = document.getElementById("rule-form");
+const rulePatternInput = document.getElementById("rule-pattern");
+const ruleMatchTypeSelect = document.getElementById("rule-match-type");
+const ruleHistorySelect = document.getElementById("rule-history");
+const ruleToastSelect = document.getElementById("rule-toast");
+const ruleErrorEl = document.getElementById("rule-error");
+const testUrlInput = document.getElementById("test-url");
+const testResultEl = document.getElementById("test-result");
+const captureCutCheckbox = document.getElementById("capture-cut");
+const capturePasteCheckbox = document.getElementById("capture-paste");
+const sensitiveHandlingSelect = document.getElementById("sensitive-handling");
+const retentionPeriodSelect = document.getElementById("retention-period");
+const retentionKeepPinnedCheckbox = document.getElementById("retention-keep-pinned");
+const clearHistoryNowBtn = document.getElementById("clear-history-now");
+const limitsForm = document.getElementById("limits-form");
+const historyLimitInput = document.getElementById("history-limit");
+const batchLimitInput = document.getElementById("batch-limit");
+const limitsErrorEl = document.getElementById("limits-error");
+const lockStateEl = document.getElementById("lock-state");
+const lockSetup = document.getElementById("lock-setup");
+const lockManage = document.getElementById("lock-manage");
+const lockPassphraseInput = document.getElementById("lock-passphrase");
+const lockConfirmInput = document.getElementById("lock-confirm");
+const lockCurrentInput = document.getElementById("lock-current");
+const lockEnableBtn = document.getElementById("lock-enable");
+const lockNowBtn = document.getElementById("lock-now");
+const lockDisableBtn = document.getElementById("lock-disable");
+const lockResetBtn = document.getElementById("lock-reset");
+const lockErrorEl = document.getElementById("lock-error");
+const pageStatusEl = document.getElementById("page-status");
+
+// Storage keys (see content-script.js / background.js)
+const CAPTURE_RULES_KEY = "captureRules";
+const SENSITIVE_HANDLING_KEY = "sensitiveHandling";
+const CAPTURE_EVENTS_KEY = "captureEvents";
+const HISTORY_LOCK_KEY = "historyLock";
+const HISTORY_KEY_SESSION_KEY = "historyKey";  // chrome.storage.session
+const RETENTION_KEY = "historyRetention";
+const LIMITS_KEY = "limits";
+
+const shared = globalThis.ClipboardQrShared;
+const messageClient = shared.createMessageClient((message) => chrome.runtime.sendMessage(message));
+
+const ACTION_LABELS = { allow: "Allow", deny: "Deny", inherit: "Default" };
+
+let captureRules = shared.normalizeCaptureRules(null);
+let limits = shared.normalizeLimits();
+let statusTimeoutId = null;
+
+function storageGet(keys) {
+  return new Promise((resolve) => chrome.storage.local.get(keys, resolve));
+}
+
+function sessionStorageGet(keys) {
+  return new Promise((resolve) => chrome.storage.session.get(keys, resolve));
+}
+
+function sessionStorageRemove(keys) {
+  return new Promise((resolve) => chrome.storage.session.remove(keys, resolve));
+}
+
+function storageSet(obj, area = chrome.storage.local) {
+  return new Promise((resolve, reject) => {
+    area.set(obj, () => {
+      const err = chrome.runtime?.lastError;
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+function showStatus(message, type = "") {
+  pageStatusEl.textContent = message;
+  pageStatusEl.className = "page-status";
+  if (type) pageStatusEl.classList.add(type);
+  clearTimeout(statusTimeoutId);
+  statusTimeoutId = setTimeout(() => {
+    pageStatusEl.textContent = "";
+    pageStatusEl.className = "page-status";
+  }, 2500);
+}
+
+async function saveCaptureRules(updated, message) {
+  captureRules = shared.normalizeCaptureRules(updated);
+  renderRules();
+  try {
+    await storageSet({ [CAPTURE_RULES_KEY]: captureRules });
+    if (message) showStatus(message, "success");
+  } catch (err) {
+    showStatus("Failed to save rules", "error");
+    console.error("Failed to save capture rules", err);
+  }
+}
+
+// ============================================================================
+// CAPTURE RULES
+// ============================================================================
+
+function createActionCell(action) {
+  const td = document.createElement("td");
+  td.textContent = ACTION_LABELS[action];
+  if (action !== "inherit") td.className = `action-${action}`;
+  return td;
+}
+
+function createRuleButton(action, label, disabled) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "btn small";
+  btn.dataset.action = action;
+  btn.textContent = label;
+  btn.disabled = disabled;
+  return btn;
+}
+
+function createRuleRow(rule, index) {
+  const tr = document.createElement("tr");
+  tr.dataset.index = String(index);
+
+  const pattern = document.createElement("td");
+  pattern.className = "pattern";
+  pattern.textContent = rule.pattern;
+  const type = document.createElement("td");
+  type.textContent = rule.matchType === "regex" ? "Regex" : "Host";
+
+  const actions = document.createElement("td");
+  actions.className = "rule-actions";
+  const upBtn = createRuleButton("up", "↑", index === 0);
+  upBtn.setAttribute("aria-label", "Move rule up");
+  const downBtn = createRuleButton("down", "↓", index === captureRules.rules.length - 1);
+  downBtn.setAttribute("aria-label", "Move rule down");
+  const deleteBtn = createRuleButton("delete", "Delete", false);
+  deleteBtn.classList.add("danger");
+  actions.append(upBtn, " ", downBtn, " ", deleteBtn);
+
+  tr.append(pattern, type, createActionCell(rule.history), createActionCell(rule.toast), actions);
+  return tr;
+}
+
+function renderRules() {
+  defaultHistorySelect.value = captureRules.defaultHistory;
+  defaultToastSelect.value = captureRules.defaultToast;
+  rulesBody.innerHTML = "";
+  captureRules.rules.forEach((rule, index) => {
+    rulesBody.appendChild(createRuleRow(rule, index));
+  });
+  rulesEmpty.classList.toggle("hidden", captureRules.rules.length > 0);
+  updateTestResult();
+}
+
+function updateTestResult() {
+  const url = shared.trimmedText(testUrlInput.value);
+  if (!url) {
+    testResultEl.textContent = "";
+    return;
+  }
+  if (!shared.getSourceHost(url)) {
+    testResultEl.textContent = "Enter a full URL (https://…)";
+    return;
+  }
+  const policy = shared.resolveCapturePolicy(captureRules, url);
+  testResultEl.textContent = `History: ${policy.history ? "recorded" : "not recorded"} · Toast: ${
+    policy.toast ? "shown" : "hidden"
+  }`;
+}
+
+function moveRule(index, delta) {
+  const rules = [...captureRules.rules];
+  const target = index + delta;
+  if (target < 0 || target >= rules.length) return;
+  [rules[index], rules[target]] = [rules[target], rules[index]];
+  void saveCaptureRules({ ...captureRules, rules });
+}
+
+rulesBody.addEventListener("click", (e) => {
+  const btn = e.target.closest?.("[data-action]");
+  const row = e.target.closest?.("tr");
+  if (!btn || !row) return;
+  const index = Number(row.dataset.index);
+
+  switch (btn.dataset.action) {
+    case "up":
+      moveRule(index, -1);
+      break;
+    case "down":
+      moveRule(index, 1);
+      break;
+    case "delete":
+      void saveCaptureRules(
+        { ...captureRules, rules: captureRules.rules.filter((_, i) => i !== index) },
+        "Rule deleted"
+      );
+      break;
+  }
+});
+
+ruleForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const result = shared.validateCaptureRule({
+    pattern: rulePatternInput.value,
+    matchType: ruleMatchTypeSelect.value,
+    history: ruleHistorySelect.value,
+    toast: ruleToastSelect.value,
+  });
+  ruleErrorEl.textContent = result.errors.join("\n");
+  if (!result.ok) return;
+
+  rulePatternInput.value = "";
+  void saveCaptureRules({ ...captureRules, rules: [...captureRules.rules, result.rule] }, "Rule added");
+});
+
+rulePatternInput.addEventListener("input", () => {
+  ruleErrorEl.textContent = "";
+});
+
+defaultHistorySelect.addEventListener("change", () => {
+  void saveCaptureRules({ ...captureRules, defaultHistory: defaultHistorySelect.value }, "Saved");
+});
+
+defaultToastSelect.addEventListener("change", () => {
+  void saveCaptureRules({ ...captureRules, defaultToast: defaultToastSelect.value }, "Saved");
+});
+
+testUrlInput.addEventListener("input", updateTestResult);
+
+// ============================================================================
+// CUT AND PASTE
+// ============================================================================
+
+function renderCaptureEvents(value) {
+  const events = shared.normalizeCaptureEvents(value);
+  captureCutCheckbox.checked = events.cut;
+  capturePasteCheckbox.checked = events.paste;
+}
+
+async function saveCaptureEvents() {
+  const events = shared.normalizeCaptureEvents({
+    cut: captureCutCheckbox.checked,
+    paste: capturePasteCheckbox.checked,
+  });
+  try {
+    await storageSet({ [CAPTURE_EVENTS_KEY]: events });
+    showStatus("Saved", "success");
+  } catch (err) {
+    showStatus("Failed to save setting", "error");
+    console.error("Failed to save cut and paste settings", err);
+  }
+}
+
+captureCutCheckbox.addEventListener("change", () => {
+  void saveCaptureEvents();
+});
+
+capturePasteCheckbox.addEventListener("change", () => {
+  void saveCaptureEvents();
+});
+
+// ============================================================================
+// SENSITIVE CONTENT
+// ============================================================================
+
+function normalizeSensitiveHandling(value) {
+  return shared.SENSITIVE_HANDLING_MODES.includes(value) ? value : shared.DEFAULT_SENSITIVE_HANDLING;
+}
+
+sensitiveHandlingSelect.addEventListener("change", async () => {
+  try {
+    await storageSet({ [SENSITIVE_HANDLING_KEY]: normalizeSensitiveHandling(sensitiveHandlingSelect.value) });
+    showStatus("Saved", "success");
+  } catch (err) {
+    showStatus("Failed to save setting", "error");
+    console.error("Failed to save sensitive-content setting", err);
+  }
+});
+
+// ============================================================================
+// LIMITS
+// ============================================================================
+
+function renderLimits(value) {
+  limits = shared.normalizeLimits(value);
+  historyLimitInput.value = String(limits.historyLimit);
+  batchLimitInput.value = String(limits.batchLimit);
+}
+
+// The background trims stored history and the batch as soon as a lower limit is saved.
+async function saveLimits() {
+  const { ok, errors, limits: updated } = shared.validateLimits({
+    historyLimit: historyLimitInput.valueAsNumber,
+    batchLimit: batchLimitInput.valueAsNumber,
+  });
+  limitsErrorEl.textContent = errors.join("\n");
+  if (!ok) return;
+
+  const lowered = [];
+  if (updated.historyLimit < limits.historyLimit) lowered.push(`history to ${updated.historyLimit} unpinned items`);
+  if (updated.batchLimit < limits.batchLimit) lowered.push(`the batch to ${updated.batchLimit} items`);
+  if (lowered.length && !window.confirm(`This trims ${lowered.join(" and ")}. Continue?`)) return;
+
+  try {
+    await storageSet({ [LIMITS_KEY]: updated });
+    limits = updated;
+    showStatus("Saved", "success");
+  } catch (err) {
+    showStatus("Failed to save setting", "error");
+    console.error("Failed to save limits", err);
+  }
+}
+
+limitsForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  void saveLimits();
+});
+
+// ============================================================================
+// RETENTION
+// ============================================================================
+
+function renderRetention(value) {
+  const retention = shared.normalizeRetention(value);
+  retentionPeriodSelect.value = retention.period;
+  retentionKeepPinnedCheckbox.checked = retention.keepPinned;
+}
+
+async function saveRetention() {
+  const retention = shared.normalizeRetention({
+    period: retentionPeriodSelect.value,
+    keepPinned: retentionKeepPinnedCheckbox.checked,
+  });
+  try {
+    await storageSet({ [RETENTION_KEY]: retention });
+    showStatus("Saved", "success");
+  } catch (err) {
+    showStatus("Failed to save setting", "error");
+    console.error("Failed to save retention setting", err);
+  }
+}
+
+// Clearing goes through the service worker so it is queued with captures (see background.js).
+async function clearHistoryNow() {
+  const scope = retentionKeepPinnedCheckbox.checked ? "all unpinned items" : "all items, including pinned ones";
+  if (!window.confirm(`Clear ${scope} from history?`)) return;
+  try {
+    const response = await messageClient.send({ type: "HISTORY_UPDATE", op: { kind: "clear" } });
+    if (!response?.ok) throw new Error(response?.error ?? "Failed to clear history");
+    showStatus("History cleared", "success");
+  } catch (err) {
+    showStatus(err.message, "error");
+    console.error("Failed to clear history", err);
+  }
+}
+
+retentionPeriodSelect.addEventListener("change", () => {
+  void saveRetention();
+});
+
+retentionKeepPinnedCheckbox.addEventListener("change", () => {
+  void saveRetention();
+});
+
+clearHistoryNowBtn.addEventListener("click", () => {
+  void clearHistoryNow();
+});
+
+// ============================================================================
+// HISTORY ENCRYPTION
+// ============================================================================
+
+async function renderLockState() {
+  const stored = await storageGet([HISTORY_LOCK_KEY]);
+  const session = await sessionStorageGet([HISTORY_KEY_SESSION_KEY]);
+  const enabled = Boolean(stored?.[HISTORY_LOCK_KEY]);
+  const unlocked = Boolean(session?.[HISTORY_KEY_SESSION_KEY]);
+
+  if (!enabled) lockStateEl.textContent = "History is stored unencrypted.";
+  else if (unlocked) lockStateEl.textContent = "History is encrypted and unlocked for this session.";
+  else lockStateEl.textContent = "History is encrypted and locked.";
+  lockSetup.classList.toggle("hidden", enabled);
+  lockManage.classList.toggle("hidden", !enabled);
+  lockCurrentInput.classList.toggle("hidden", unlocked);
+  lockNowBtn.disabled = !unlocked;
+}
+
+// The session key, or the key for the passphrase typed into `lockCurrentInput`.
+async function getHistoryKeyForChange(lock) {
+  const session = await sessionStorageGet([HISTORY_KEY_SESSION_KEY]);
+  const raw = session?.[HISTORY_KEY_SESSION_KEY];
+  if (raw) return shared.importHistoryKey(raw);
+  return shared.unlockHistoryLock(lock, lockCurrentInput.value);
+}
+
+async function withLockAction(button, action) {
+  lockErrorEl.textContent = "";
+  button.disabled = true;
+  try {
+    await action();
+  } catch (err) {
+    lockErrorEl.textContent = err?.message || "Something went wrong.";
+    console.error("History encryption change failed", err);
+  } finally {
+    button.disabled = false;
+    lockPassphraseInput.value = "";
+    lockConfirmInput.value = "";
+    lockCurrentInput.value = "";
+    await renderLockState();
+  }
+}
+
+// The service worker re-encodes history so the change is queued with captures (see background.js).
+async function sendLockChange(message) {
+  const response = await messageClient.send({ type: "HISTORY_LOCK", ...message });
+  if (!response?.ok) throw new Error(response?.error ?? "History encryption change failed");
+}
+
+// Migration: encrypts the existing history (and last-seen clipboard value) under a new passphrase.
+async function enableHistoryLock() {
+  if (lockPassphraseInput.value !== lockConfirmInput.value) {
+    throw new Error("Passphrases don't match.");
+  }
+  const { lock, key } = await shared.createHistoryLock(lockPassphraseInput.value);
+  await sendLockChange({ action: "enable", lock, key: await shared.exportHistoryKey(key) });
+  showStatus("History encrypted", "success");
+}
+
+// Decrypts history back to plain storage, including anything captured while locked.
+async function disableHistoryLock() {
+  const stored = await storageGet([HISTORY_LOCK_KEY]);
+  const key = await getHistoryKeyForChange(stored?.[HISTORY_LOCK_KEY]);
+  if (!key) throw new Error("Wrong passphrase.");
+  await sendLockChange({ action: "disable", key: await shared.exportHistoryKey(key) });
+  showStatus("Encryption turned off", "success");
+}
+
+// "Forget key" reset for a lost passphrase: the encrypted history can't be recovered.
+async function resetHistoryLock() {
+  if (!window.confirm("Delete the encrypted history and turn off encryption? This can't be undone.")) return;
+  await sendLockChange({ action: "reset" });
+  showStatus("History reset", "success");
+}
+
+lockEnableBtn.addEventListener("click", () => {
+  void withLockAction(lockEnableBtn, enableHistoryLock);
+});
+
+lockNowBtn.addEventListener("click", () => {
+  void withLockAction(lockNowBtn, async () => {
+    await sessionStorageRemove(HISTORY_KEY_SESSION_KEY);
+    showStatus("History locked", "success");
+  });
+});
+
+lockDisableBtn.addEventListener("click", () => {
+  void withLockAction(lockDisableBtn, disableHistoryLock);
+});
+
+lockResetBtn.addEventListener("click", () => {
+  void withLockAction(lockResetBtn, resetHistoryLock);
+});
+
+// Keep in sync when the options page is open in more than one tab.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (changes[HISTORY_LOCK_KEY] || changes[HISTORY_KEY_SESSION_KEY]) void renderLockState();
+  if (area !== "local") return;
+  if (changes[CAPTURE_RULES_KEY]) {
+    captureRules = shared.normalizeCaptureRules(changes[CAPTURE_RULES_KEY].newValue);
+    renderRules();
+  }
+  if (changes[RETENTION_KEY]) {
+    renderRetention(changes[RETENTION_KEY].newValue);
+  }
+  if (changes[LIMITS_KEY]) {
+    renderLimits(changes[LIMITS_KEY].newValue);
+  }
+  if (changes[CAPTURE_EVENTS_KEY]) {
+    renderCaptureEvents(changes[CAPTURE_EVENTS_KEY].newValue);
+  }
+  if (changes[SENSITIVE_HANDLING_KEY]) {
+    sensitiveHandlingSelect.value = normalizeSensitiveHandling(changes[SENSITIVE_HANDLING_KEY].newValue);
+  }
+});
+
+async function init() {
+  const stored = await storageGet([
+    CAPTURE_RULES_KEY,
+    CAPTURE_EVENTS_KEY,
+    SENSITIVE_HANDLING_KEY,
+    RETENTION_KEY,
+    LIMITS_KEY,
+  ]);
+  renderCaptureEvents(stored?.[CAPTURE_EVENTS_KEY]);
+  renderRetention(stored?.[RETENTION_KEY]);
+  renderLimits(stored?.[LIMITS_KEY]);
+  captureRules = shared.normalizeCaptureRules(stored?.[CAPTURE_RULES_KEY]);
+  sensitiveHandlingSelect.value = normalizeSensitiveHandling(stored?.[SENSITIVE_HANDLING_KEY]);
+  renderRules();
+  await renderLockState();
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  void init();
+});
@@ -10,18 +10,123 @@ const batchPrevBtn = document.getElementById("batch-prev");
 const batchNextBtn = document.getElementById("batch-next");
 const batchCountEl = document.getElementById("batch-count");
 const batchControls = document.getElementById("batch-controls");
+const batchPrintBtn = document.getElementById("batch-print");
+const batchSlideshowBtn = document.getElementById("batch-slideshow");
+const batchImportBtn = document.getElementById("batch-import");
+const batchCollectionRow = document.getElementById("batch-collection");
+const batchSelect = document.getElementById("batch-select");
+const batchNameInput = document.getElementById("batch-name");
+const batchNewBtn = document.getElementById("batch-new");
+const batchRenameBtn = document.getElementById("batch-rename");
+const batchDuplicateBtn = document.getElementById("batch-duplicate");
+const batchDeleteBtn = document.getElementById("batch-delete");
+const batchProgressRow = document.getElementById("batch-progress");
+const batchProgressCountEl = document.getElementById("batch-progress-count");
+const batchDoneBtn = document.getElementById("batch-done");
+const batchSkipBtn = document.getElementById("batch-skip");
+const batchNextPendingBtn = document.getElementById("batch-next-pending");
+const batchResetProgressBtn = document.getElementById("batch-reset-progress");
+const copyQrImageBtn = document.getElementById("copy-qr-image");
+const saveQrPngBtn = document.getElementById("save-qr-png");
+const saveQrSvgBtn = document.getElementById("save-qr-svg");
+const toggleSettingsBtn = document.getElementById("toggle-settings");
+const settingsPanel = document.getElementById("settings-panel");
+const qrSizeInput = document.getElementById("qr-size");
+const qrCorrectLevelSelect = document.getElementById("qr-correct-level");
+const qrColorDarkInput = document.getElementById("qr-color-dark");
+const qrColorLightInput = document.getElementById("qr-color-light");
+const qrQuietZoneInput = document.getElementById("qr-quiet-zone");
+const settingsErrorEl = document.getElementById("settings-error");
+const settingsResetBtn = document.getElementById("settings-reset");
+const openOptionsBtn = document.getElementById("open-options");
+const payloadTypeRow = document.getElementById("payload-type-row");
+const payloadTypeSelect = document.getElementById("payload-type");
+const payloadForm = document.getElementById("payload-form");
+const payloadErrorsEl = document.getElementById("payload-errors");
+const toggleDecodeBtn = document.getElementById("toggle-decode");
+const decodePanel = document.getElementById("decode-panel");
+const decodeDropZone = document.getElementById("decode-drop-zone");
+const decodePickFileBtn = document.getElementById("decode-pick-file");
+const decodeScanTabBtn = document.getElementById("decode-scan-tab");
+const decodeFileInput = document.getElementById("decode-file");
+const pinCurrentBtn = document.getElementById("pin-current");
+const pinLabelInput = document.getElementById("pin-label");
+const openHistoryBtn = document.getElementById("open-history");
+const lockHistoryBtn = document.getElementById("lock-history");
+const unlockPanel = document.getElementById("unlock-panel");
+const unlockPassphraseInput = document.getElementById("unlock-passphrase");
+const unlockErrorEl = document.getElementById("unlock-error");
 
 let qrCodeInstance = null;
 
 // Storage keys
-const STORAGE_KEY = "clipboardHistory";       // string[] - history of items (newest at end)
+const STORAGE_KEY = "clipboardHistory";       // object[] - history entries { text, pinned, label, capturedAt, sourceUrl, sourceTitle, method } (newest at end)
+const HISTORY_REVISION_KEY = "historyRevision"; // number - bumped by the service worker on every history write
 const LAST_SEEN_KEY = "lastSeenClipboard";    // string - last selected/copied value (for dropdown state)
 const SHOW_TOAST_KEY = "showCopyToast";       // boolean - show page toast when copying (content script)
 const BATCH_MODE_KEY = "batchMode";           // boolean - toggle for batch mode
-const BATCH_ITEMS_KEY = "batchItems";         // string[] - batch items (one per line)
-const BATCH_INDEX_KEY = "batchIndex";         // number - current batch index
-const HISTORY_LIMIT = 15;
-const BATCH_LIMIT = 20;
+const BATCHES_KEY = "batches";                // object - named batches { activeId, collections } (see shared.normalizeBatches), encrypted while history lock is on
+const LEGACY_BATCH_KEYS = ["batchItems", "batchIndex", "batchCaptions"]; // single batch before named batches
+const QR_OPTIONS_KEY = "qrOptions";           // object - size, correctLevel, colors, quietZone
+const SENSITIVE_HANDLING_KEY = "sensitiveHandling"; // string - "skip" | "mask" | "session" for detected secrets
+const SESSION_HISTORY_KEY = "sessionHistory";  // object[] - chrome.storage.session: sensitive items kept for this session only
+const HISTORY_LOCK_KEY = "historyLock";        // object - present when history is encrypted (see shared.createHistoryLock)
+const HISTORY_KEY_SESSION_KEY = "historyKey";  // string - chrome.storage.session: base64 AES key while unlocked
+const PENDING_HISTORY_KEY = "pendingHistory";  // object[] - chrome.storage.session: captures made while history was locked
+const RETENTION_KEY = "historyRetention";      // object - { period, keepPinned } (purged by background.js)
+const LIMITS_KEY = "limits";                   // object - { historyLimit, batchLimit } (set on the options page)
+const DECODE_MAX_DIMENSION = 3000;  // downscale huge images before decoding
+
+// Form fields for each structured payload type (serialized by shared.buildStructuredPayload)
+const PAYLOAD_FORMS = {
+  wifi: [
+    { name: "ssid", label: "Network name (SSID)" },
+    {
+      name: "security",
+      label: "Security",
+      type: "select",
+      options: [
+        ["WPA", "WPA / WPA2 / WPA3"],
+        ["WEP", "WEP"],
+        ["nopass", "None (open)"],
+      ],
+    },
+    { name: "password", label: "Password", type: "password" },
+    { name: "hidden", label: "Hidden network", type: "checkbox" },
+  ],
+  vcard: [
+    { name: "firstName", label: "First name" },
+    { name: "lastName", label: "Last name" },
+    { name: "org", label: "Organization" },
+    { name: "title", label: "Job title" },
+    { name: "phone", label: "Phone", type: "tel" },
+    { name: "email", label: "Email", type: "email" },
+    { name: "url", label: "Website", type: "url" },
+    { name: "address", label: "Address" },
+    { name: "note", label: "Note", type: "textarea" },
+  ],
+  email: [
+    { name: "to", label: "To", type: "email" },
+    { name: "subject", label: "Subject" },
+    { name: "body", label: "Body", type: "textarea" },
+  ],
+  sms: [
+    { name: "number", label: "Phone number", type: "tel" },
+    { name: "message", label: "Message", type: "textarea" },
+  ],
+  geo: [
+    { name: "latitude", label: "Latitude", type: "number" },
+    { name: "longitude", label: "Longitude", type: "number" },
+    { name: "label", label: "Label (optional)" },
+  ],
+  event: [
+    { name: "summary", label: "Title" },
+    { name: "start", label: "Starts", type: "datetime-local" },
+    { name: "end", label: "Ends (optional)", type: "datetime-local" },
+    { name: "location", label: "Location" },
+    { name: "description", label: "Description", type: "textarea" },
+  ],
+};
 
 // Shared utilities
 const shared = globalThis.ClipboardQrShared;
@@ -30,9 +135,9 @@ function storageGet(keys) {
   return new Promise((resolve) => chrome.storage.local.get(keys, resolve));
 }
 
-function storageSet(obj) {
+function storageSet(obj, area = chrome.storage.local) {
   return new Promise((resolve, reject) => {
-    chrome.storage.local.set(obj, () => {
+    area.set(obj, () => {
       const err = chrome.runtime?.lastError;
       if (err) reject(err);
       else resolve();
@@ -58,7 +163,7 @@ function parseBatchItems(raw) {
   const text = (raw ?? "").toString();
   const lines = text.split(/\r?\n/);
   const items = lines.map((line) => trimmedText(line)).filter(Boolean);
-  return items.slice(0, BATCH_LIMIT);
+  return items.slice(0, limits.batchLimit);
 }
 
 function clampIndex(index, length) {
@@ -69,54 +174,171 @@ function clampIndex(index, length) {
   return index;
 }
 
-// Update history array: dedupe and add to end, enforce limit
-function updateHistoryArray(history, text) {
-  const trimmed = trimmedText(text);
-  if (!trimmed) return history;
-  
-  const filtered = history.filter(h => h !== trimmed);
-  filtered.push(trimmed);
-  
-  if (filtered.length > HISTORY_LIMIT) {
-    filtered.splice(0, filtered.length - HISTORY_LIMIT);
+// Update history array: dedupe and add to end, enforce limit (pinned entries are kept).
+// `item` is the text or { text, method, ... } with capture metadata.
+function updateHistoryArray(history, item) {
+  return shared.updateHistory(history, item, limits.historyLimit);
+}
+
+// Adds a captured item to history, applying the sensitive-content setting: detected secrets
+// are skipped, stored masked, or kept in session storage only. Returns the policy decision.
+// While history is locked, items wait in session storage until it is unlocked. `lastSeen`,
+// when given, is saved along with the item.
+function recordHistoryItem(item, lastSeen) {
+  const decision = shared.applySensitivePolicy(item.text, sensitiveHandling);
+  const entry = { ...item, text: decision.text, capturedAt: Date.now() };
+  const stored = decision.action === "store" || decision.action === "mask";
+  if (stored && isHistoryLocked()) {
+    saveSessionEntry("pending", entry);
+  } else if (stored) {
+    currentHistory = updateHistoryArray(currentHistory, entry);
+  } else if (decision.action === "session") {
+    sessionHistory = updateHistoryArray(sessionHistory, entry);
+    saveSessionEntry("session", entry);
+  }
+  if ((stored && !isHistoryLocked()) || lastSeen !== undefined) {
+    saveHistoryOp({ kind: "add", entries: stored ? [entry] : [] }, lastSeen);
   }
-  return filtered;
+  return decision;
 }
 
-// Populate the history dropdown
+// "Copied on page · 10/18/2026, 9:30 AM · Example Docs"
+function describeCapture(entry) {
+  const parts = [];
+  if (entry.method) parts.push(shared.CAPTURE_METHOD_LABELS[entry.method]);
+  if (entry.capturedAt) parts.push(new Date(entry.capturedAt).toLocaleString());
+  const source = entry.sourceTitle || shared.getSourceHost(entry.sourceUrl);
+  if (source) parts.push(source);
+  return parts.join(" · ");
+}
+
+function createHistoryOption(entry) {
+  const option = document.createElement("option");
+  option.value = entry.text;
+  option.textContent = entry.label
+    ? truncateLabel(`${entry.label} — ${entry.text}`)
+    : truncateLabel(entry.text);
+  option.title = describeCapture(entry);
+  return option;
+}
+
+// Populate the history dropdown (pinned items first, then newest first)
 function populateHistoryDropdown(history) {
-  historyDropdown.innerHTML = '<option value="">Recent items…</option>';
-  
-  // Add history items in reverse order (newest first in dropdown)
-  for (let i = history.length - 1; i >= 0; i--) {
-    const item = history[i];
-    const option = document.createElement("option");
-    option.value = item;
-    option.textContent = truncateLabel(item);
-    historyDropdown.appendChild(option);
+  historyDropdown.innerHTML = isHistoryLocked()
+    ? '<option value="">History locked</option>'
+    : '<option value="">Recent items…</option>';
+
+  const sorted = shared.sortHistoryForDisplay(history);
+  const pinned = sorted.filter((entry) => entry.pinned);
+  const recent = sorted.filter((entry) => !entry.pinned);
+
+  const session = shared.sortHistoryForDisplay(sessionHistory);
+
+  if (!pinned.length && !session.length) {
+    for (const entry of recent) historyDropdown.appendChild(createHistoryOption(entry));
+  } else {
+    const groups = [["Pinned", pinned], ["Recent", recent], ["This session only", session]];
+    for (const [label, entries] of groups) {
+      if (!entries.length) continue;
+      const group = document.createElement("optgroup");
+      group.label = label;
+      for (const entry of entries) group.appendChild(createHistoryOption(entry));
+      historyDropdown.appendChild(group);
+    }
+  }
+
+  updatePinControls();
+}
+
+// ============================================================================
+// PINNED ITEMS
+// ============================================================================
+
+function findHistoryEntry(text) {
+  const t = trimmedText(text);
+  return t ? currentHistory.find((entry) => entry.text === t) ?? null : null;
+}
+
+// Reflects the pin state of the text currently shown (pinning is unavailable in batch mode).
+function updatePinControls() {
+  if (!pinCurrentBtn || !pinLabelInput) return;
+  const text = batchMode ? "" : getActiveText();
+  const entry = findHistoryEntry(text);
+  const pinned = entry?.pinned === true;
+
+  pinCurrentBtn.classList.toggle("hidden", batchMode);
+  pinCurrentBtn.disabled = !text || isHistoryLocked();
+  pinCurrentBtn.setAttribute("aria-pressed", String(pinned));
+  pinCurrentBtn.title = pinned ? "Unpin this item" : "Pin this item";
+  pinCurrentBtn.setAttribute("aria-label", pinCurrentBtn.title);
+
+  pinLabelInput.classList.toggle("hidden", !pinned);
+  if (pinned && document.activeElement !== pinLabelInput) {
+    pinLabelInput.value = entry.label ?? "";
+  }
+}
+
+function togglePinForActiveText() {
+  const text = getActiveText();
+  if (!text || batchMode) return;
+  const sensitive = shared.classifySensitiveText(text);
+  if (sensitive) {
+    showStatus(`${sensitive.label} detected: can't be pinned`, "error");
+    return;
+  }
+  const pinned = findHistoryEntry(text)?.pinned !== true;
+
+  currentHistory = shared.setHistoryPinned(currentHistory, text, pinned, limits.historyLimit);
+  saveHistoryOp({ kind: "pin", text, pinned });
+  populateHistoryDropdown(currentHistory);
+  showStatus(pinned ? "Pinned" : "Unpinned", "success");
+  if (pinned) pinLabelInput?.focus();
+}
+
+function resetQrInstance() {
+  if (qrCodeInstance) {
+    try {
+      qrCodeInstance.clear();
+    } catch (e) {
+      // Ignore errors when clearing
+    }
+    qrCodeInstance = null;
   }
+  qrCodeContainer.innerHTML = "";
+}
+
+// The quiet zone is padding around the code, proportional to the module count.
+function applyQrFrame() {
+  const count = qrCodeInstance?._oQRCode?.getModuleCount?.() ?? 0;
+  const total = count + qrOptions.quietZone * 2;
+  qrCodeContainer.style.background = qrOptions.colorLight;
+  qrCodeContainer.style.padding = count ? `${(qrOptions.quietZone / total) * 100}%` : "";
 }
 
 // Generate or update QR code
 function generateQRCode(text) {
   const normalized = trimmedText(text);
+  updatePinControls();
   if (!normalized) {
-    if (qrCodeInstance) {
-      try {
-        qrCodeInstance.clear();
-      } catch (e) {
-        // Ignore errors when clearing
-      }
-      qrCodeInstance = null;
-    }
-    qrCodeContainer.innerHTML = "";
+    resetQrInstance();
     qrCodeContainer.classList.add("hidden");
     emptyMessage.classList.remove("hidden");
+    setExportEnabled(false);
+    return;
+  }
+
+  if (!shared.qrPayloadFits(normalized, qrOptions.correctLevel)) {
+    resetQrInstance();
+    qrCodeContainer.classList.add("hidden");
+    emptyMessage.classList.remove("hidden");
+    setExportEnabled(false);
+    showStatus(`Too long for error correction ${qrOptions.correctLevel}`, "error");
     return;
   }
 
   qrCodeContainer.classList.remove("hidden");
   emptyMessage.classList.add("hidden");
+  setExportEnabled(true);
 
   try {
     if (qrCodeInstance) {
@@ -124,19 +346,369 @@ function generateQRCode(text) {
     } else {
       qrCodeInstance = new QRCode(qrCodeContainer, {
         text: normalized,
-        width: 150,
-        height: 150,
-        colorDark: "#000000",
-        colorLight: "#ffffff",
-        correctLevel: QRCode.CorrectLevel.M,
+        width: qrOptions.size,
+        height: qrOptions.size,
+        colorDark: qrOptions.colorDark,
+        colorLight: qrOptions.colorLight,
+        correctLevel: QRCode.CorrectLevel[qrOptions.correctLevel],
       });
     }
+    applyQrFrame();
   } catch (error) {
+    setExportEnabled(false);
     showStatus("Error generating QR code", "error");
     console.error("QR Code generation error:", error);
   }
 }
 
+// ============================================================================
+// EXPORT (PNG / SVG)
+// ============================================================================
+
+function setExportEnabled(enabled) {
+  for (const btn of [copyQrImageBtn, saveQrPngBtn, saveQrSvgBtn]) {
+    if (btn) btn.disabled = !enabled;
+  }
+}
+
+// Module grid of the QR currently on screen (qrcode.js keeps its model on the instance).
+function getCurrentQrMatrix() {
+  const matrix = shared?.qrModelToMatrix?.(qrCodeInstance?._oQRCode) ?? [];
+  if (!matrix.length) {
+    throw new Error("No QR code to export.");
+  }
+  return matrix;
+}
+
+function canvasToPngBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error("Failed to generate PNG image."));
+        return;
+      }
+      resolve(blob);
+    }, "image/png");
+  });
+}
+
+// Renders from the module matrix instead of the on-screen canvas, so exports are crisp.
+// The output is exactly `size` px square, quiet zone included.
+function renderQrPngBlob() {
+  const matrix = getCurrentQrMatrix();
+  const { size, quietZone, colorDark, colorLight } = qrOptions;
+  const count = matrix.length;
+  const scale = size / (count + quietZone * 2);
+  const edge = (i) => Math.round((i + quietZone) * scale);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = colorLight;
+  ctx.fillRect(0, 0, size, size);
+  ctx.fillStyle = colorDark;
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (!matrix[row][col]) continue;
+      ctx.fillRect(edge(col), edge(row), edge(col + 1) - edge(col), edge(row + 1) - edge(row));
+    }
+  }
+  return canvasToPngBlob(canvas);
+}
+
+function renderQrSvgBlob() {
+  const svg = shared.buildQrSvg(getCurrentQrMatrix(), {
+    margin: qrOptions.quietZone,
+    size: qrOptions.size,
+    colorDark: qrOptions.colorDark,
+    colorLight: qrOptions.colorLight,
+  });
+  return new Blob([svg], { type: "image/svg+xml" });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+async function copyQrAsPng() {
+  try {
+    const pngBlob = await renderQrPngBlob();
+
+    if (navigator.clipboard?.write && typeof window.ClipboardItem !== "undefined") {
+      try {
+        await navigator.clipboard.write([new window.ClipboardItem({ "image/png": pngBlob })]);
+        showStatus("QR image copied!", "success");
+        return;
+      } catch (err) {
+        console.error("Clipboard image write failed, downloading instead:", err);
+      }
+    }
+
+    downloadBlob(pngBlob, "qr-code.png");
+    showStatus("Image copy unavailable. Downloaded PNG.", "success");
+  } catch (error) {
+    showStatus(error instanceof Error ? error.message : "Failed to copy image", "error");
+    console.error("Failed to copy QR as PNG:", error);
+  }
+}
+
+async function saveQrAsPng() {
+  try {
+    downloadBlob(await renderQrPngBlob(), "qr-code.png");
+    showStatus("Saved qr-code.png", "success");
+  } catch (error) {
+    showStatus(error instanceof Error ? error.message : "Failed to save PNG", "error");
+    console.error("Failed to save QR as PNG:", error);
+  }
+}
+
+function saveQrAsSvg() {
+  try {
+    downloadBlob(renderQrSvgBlob(), "qr-code.svg");
+    showStatus("Saved qr-code.svg", "success");
+  } catch (error) {
+    showStatus(error instanceof Error ? error.message : "Failed to save SVG", "error");
+    console.error("Failed to save QR as SVG:", error);
+  }
+}
+
+// ============================================================================
+// QR SETTINGS
+// ============================================================================
+
+function populateSettingsForm(options) {
+  qrSizeInput.value = String(options.size);
+  qrCorrectLevelSelect.value = options.correctLevel;
+  qrColorDarkInput.value = options.colorDark;
+  qrColorLightInput.value = options.colorLight;
+  qrQuietZoneInput.value = String(options.quietZone);
+  settingsErrorEl.textContent = "";
+}
+
+function readSettingsForm() {
+  return {
+    size: qrSizeInput.value.trim() === "" ? NaN : Number(qrSizeInput.value),
+    correctLevel: qrCorrectLevelSelect.value,
+    colorDark: qrColorDarkInput.value,
+    colorLight: qrColorLightInput.value,
+    quietZone: qrQuietZoneInput.value.trim() === "" ? NaN : Number(qrQuietZoneInput.value),
+  };
+}
+
+function setSettingsOpen(open) {
+  if (!settingsPanel || !toggleSettingsBtn) return;
+  settingsPanel.classList.toggle("hidden", !open);
+  toggleSettingsBtn.setAttribute("aria-expanded", String(open));
+  if (open) populateSettingsForm(qrOptions);
+}
+
+function applyQrOptions(options) {
+  qrOptions = options;
+  // Size and colors are fixed when qrcode.js builds its instance, so start over.
+  resetQrInstance();
+  generateQRCode(getActiveText());
+}
+
+async function saveSettingsFromForm() {
+  const result = shared.validateQrOptions(readSettingsForm(), { text: getActiveText() });
+  if (!result.ok) {
+    settingsErrorEl.textContent = result.errors.join("\n");
+    return;
+  }
+
+  settingsErrorEl.textContent = "";
+  applyQrOptions(result.options);
+  try {
+    await storageSet({ [QR_OPTIONS_KEY]: result.options });
+    showStatus("Settings saved", "success");
+  } catch (err) {
+    showStatus("Failed to save settings", "error");
+    console.error("Failed to save QR settings", err);
+  }
+}
+
+// ============================================================================
+// STRUCTURED PAYLOADS
+// ============================================================================
+
+function createPayloadField(field) {
+  const label = document.createElement("label");
+  let input;
+
+  if (field.type === "select") {
+    input = document.createElement("select");
+    for (const [value, text] of field.options) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      input.appendChild(option);
+    }
+  } else if (field.type === "textarea") {
+    input = document.createElement("textarea");
+    input.rows = 2;
+  } else {
+    input = document.createElement("input");
+    input.type = field.type || "text";
+    if (field.type === "number") input.step = "any";
+    if (field.type === "password") input.autocomplete = "off";
+  }
+  input.dataset.field = field.name;
+
+  if (field.type === "checkbox") {
+    label.className = "checkbox-field";
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(field.label));
+  } else {
+    label.appendChild(document.createTextNode(field.label));
+    label.appendChild(input);
+  }
+  return label;
+}
+
+function renderPayloadForm(type) {
+  payloadForm.innerHTML = "";
+  for (const field of PAYLOAD_FORMS[type] ?? []) {
+    payloadForm.appendChild(createPayloadField(field));
+  }
+}
+
+function readPayloadForm() {
+  const fields = {};
+  for (const el of payloadForm.querySelectorAll("[data-field]")) {
+    fields[el.dataset.field] = el.type === "checkbox" ? el.checked : el.value;
+  }
+  return fields;
+}
+
+function setPayloadType(type) {
+  if (!payloadTypeSelect || !payloadForm) return;
+  payloadType = PAYLOAD_FORMS[type] ? type : "text";
+  payloadTypeSelect.value = payloadType;
+  payloadErrorsEl.textContent = "";
+
+  const structured = payloadType !== "text";
+  payloadForm.classList.toggle("hidden", !structured);
+  textInput.classList.toggle("hidden", structured);
+  if (!structured) {
+    payloadForm.innerHTML = "";
+    generateQRCode(getActiveText());
+    return;
+  }
+
+  renderPayloadForm(payloadType);
+  payloadForm.querySelector("[data-field]")?.focus();
+  generateQRCode("");
+}
+
+// Serializes the form into the text input, so history and QR use the normal text path.
+function updateStructuredPayload() {
+  if (payloadType === "text") return;
+  const result = shared.buildStructuredPayload(payloadType, readPayloadForm());
+  if (!result.ok) {
+    payloadErrorsEl.textContent = result.errors.join("\n");
+    generateQRCode("");
+    return;
+  }
+
+  payloadErrorsEl.textContent = "";
+  textInput.value = result.payload;
+  generateQRCode(result.payload);
+  debouncedHistorySave();
+}
+
+// ============================================================================
+// DECODE (image / screenshot / tab -> text)
+// ============================================================================
+
+function setDecodeOpen(open) {
+  if (!decodePanel || !toggleDecodeBtn) return;
+  decodePanel.classList.toggle("hidden", !open);
+  toggleDecodeBtn.setAttribute("aria-expanded", String(open));
+  if (open) decodeDropZone?.focus();
+}
+
+// Runs jsQR over the pixels of an image blob. Returns "" when no code is found.
+async function decodeQrFromBlob(blob) {
+  if (typeof window.jsQR !== "function") {
+    throw new Error("QR decoder not available. Expected jsQR.min.js.");
+  }
+
+  const bitmap = await createImageBitmap(blob);
+  try {
+    const scale = Math.min(1, DECODE_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    const result = window.jsQR(data, width, height, { inversionAttempts: "attemptBoth" });
+    return trimmedText(result?.data);
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+async function decodeAndLoad(blob) {
+  showStatus("Decoding…");
+  try {
+    const text = await decodeQrFromBlob(blob);
+    if (!text) {
+      showStatus("No QR code found in image", "error");
+      return;
+    }
+
+    const { copied, reason } = await loadTextAndCopy(text, { method: "decode" });
+    setDecodeOpen(false);
+    showStatus(reason || (copied ? "Decoded and copied!" : "Decoded QR code"), "success");
+  } catch (error) {
+    showStatus("Could not decode image", "error");
+    console.error("QR decode failed:", error);
+  }
+}
+
+function firstImageFile(dataTransfer) {
+  for (const item of dataTransfer?.items ?? []) {
+    if (item.kind === "file" && item.type.startsWith("image/")) {
+      return item.getAsFile();
+    }
+  }
+  return null;
+}
+
+function captureVisibleTab() {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.captureVisibleTab(null, { format: "png" }, (dataUrl) => {
+      const err = chrome.runtime?.lastError;
+      if (err || !dataUrl) reject(err ?? new Error("Tab capture failed."));
+      else resolve(dataUrl);
+    });
+  });
+}
+
+async function scanVisibleTab() {
+  try {
+    const dataUrl = await captureVisibleTab();
+    const blob = await (await fetch(dataUrl)).blob();
+    await decodeAndLoad(blob);
+  } catch (error) {
+    showStatus("Can't capture this tab", "error");
+    console.error("Failed to capture visible tab:", error);
+  }
+}
+
 // Show status message
 function showStatus(message, type = "") {
   statusEl.textContent = message;
@@ -202,27 +774,264 @@ function debounce(func, wait) {
 // CORE STATE MANAGEMENT
 // ============================================================================
 
-// Save state to storage (fire-and-forget for speed)
-function saveState(history, lastSeen) {
-  storageSet({
-    [STORAGE_KEY]: history,
-    [LAST_SEEN_KEY]: lastSeen,
-  }).catch(err => console.error("Failed to save state:", err));
+// { locked, history, revision } as currently stored.
+async function readStoredHistory() {
+  const stored = await storageGet([STORAGE_KEY, HISTORY_REVISION_KEY]);
+  const { locked, history } = await shared.readStoredHistory(stored?.[STORAGE_KEY], historyKey);
+  return { locked, history, revision: stored?.[HISTORY_REVISION_KEY] };
+}
+
+// Folds history written by another context (background captures, the history page, retention)
+// into currentHistory, keeping changes made here that aren't saved yet. Returns true on a change.
+function mergeStoredHistory(remote) {
+  if (shared.sameHistory(remote, storedHistory)) return false;
+  currentHistory = shared.mergeHistory(storedHistory, currentHistory, remote, limits.historyLimit);
+  storedHistory = remote;
+  return true;
+}
+
+// History changes are made by the service worker (see background.js) so they are queued with
+// captures from pages. Each one carries the revision we last saw; if another writer got in first,
+// its history is merged here before the change is replayed.
+const messageClient = shared.createMessageClient((message) => chrome.runtime.sendMessage(message));
+const historyClient = shared.createHistoryClient((message) => messageClient.send(message), {
+  onStale: (response) => {
+    if (mergeStoredHistory(shared.normalizeHistory(response.history))) populateHistoryDropdown(currentHistory);
+  },
+});
+
+// Has the service worker apply `op` (see shared.applyHistoryOperation), storing `lastSeen` with it
+// when given. currentHistory already shows the change. Nothing is sent while locked: those
+// captures go to the pending queue instead.
+function sendHistoryOp(op, lastSeen) {
+  return enqueueHistoryWrite(async () => {
+    if (isHistoryLocked()) return;
+    const response = await historyClient.update(op, lastSeen === undefined ? {} : { lastSeen });
+    if (!response?.ok) throw new Error(response?.error ?? "History update failed");
+    storedHistory = shared.normalizeHistory(response.history);
+  });
+}
+
+// Fire-and-forget for edits in the popup.
+function saveHistoryOp(op, lastSeen) {
+  sendHistoryOp(op, lastSeen).catch((err) => console.error("Failed to save history:", err));
+}
+
+// Session-only entries ("session") and captures made while history is locked ("pending") live in
+// chrome.storage.session; the service worker adds them in the same queue as its own captures.
+function saveSessionEntry(target, entry) {
+  enqueueHistoryWrite(async () => {
+    const response = await historyClient.update({ kind: "add", target, entries: [entry] });
+    if (!response?.ok) throw new Error(response?.error ?? "History update failed");
+  }).catch((err) => console.error("Failed to save session history:", err));
+}
+
+// ============================================================================
+// HISTORY LOCK (encrypted history)
+// ============================================================================
+
+function isHistoryLocked() {
+  return Boolean(historyLock) && !historyKey;
+}
+
+function sessionStorageGet(keys) {
+  return new Promise((resolve) => chrome.storage.session.get(keys, resolve));
 }
 
-// Save just the history (when editing, we don't update lastSeen)
-function saveHistoryOnly(history) {
-  storageSet({ [STORAGE_KEY]: history }).catch(err => console.error("Failed to save history:", err));
+function updateLockControls() {
+  const locked = isHistoryLocked();
+  unlockPanel?.classList.toggle("hidden", !locked);
+  lockHistoryBtn?.classList.toggle("hidden", batchMode || !historyLock || locked);
+  historyDropdown.disabled = locked;
+  updatePinControls();
 }
 
+// Decrypts history, lastSeen and the batches with `key`. Throws if the stored data can't be decrypted.
+async function loadEncryptedState(stored, key) {
+  currentHistory = (await shared.readStoredHistory(stored?.[STORAGE_KEY], key)).history;
+  storedHistory = currentHistory;
+  batches = (await shared.readStoredBatches(stored?.[BATCHES_KEY], key, stored)).batches;
+  const lastSeen = stored?.[LAST_SEEN_KEY];
+  if (!shared.isEncryptedPayload(lastSeen)) {
+    lastSeenClipboard = trimmedText(lastSeen);
+  } else {
+    lastSeenClipboard = key ? trimmedText(await shared.decryptJson(key, lastSeen)) : "";
+  }
+}
+
+async function unlockHistory(passphrase) {
+  const key = await shared.unlockHistoryLock(historyLock, passphrase);
+  if (!key) {
+    unlockErrorEl.textContent = "Wrong passphrase.";
+    return;
+  }
+  const stored = await storageGet([STORAGE_KEY, LAST_SEEN_KEY, BATCHES_KEY]);
+  await loadEncryptedState(stored, key);
+  historyKey = key;
+  loadActiveBatch();
+  await storageSet(
+    { [HISTORY_KEY_SESSION_KEY]: await shared.exportHistoryKey(key) },
+    chrome.storage.session
+  );
+
+  // Merge what was captured while locked.
+  const session = await sessionStorageGet([PENDING_HISTORY_KEY]);
+  const pending = shared.normalizeHistory(session?.[PENDING_HISTORY_KEY]);
+  for (const entry of pending) {
+    currentHistory = updateHistoryArray(currentHistory, entry);
+  }
+  if (pending.length) await sendHistoryOp({ kind: "add", entries: pending });
+  await new Promise((resolve) => chrome.storage.session.remove(PENDING_HISTORY_KEY, resolve));
+
+  unlockPassphraseInput.value = "";
+  unlockErrorEl.textContent = "";
+  populateHistoryDropdown(currentHistory);
+  updateLockControls();
+  showStatus("History unlocked", "success");
+}
+
+// Forgets the session key; history stays encrypted until the passphrase is entered again.
+async function lockHistory() {
+  flushPendingSaves();
+  await enqueueHistoryWrite(() => {});
+  await enqueueBatchWrite(() => {});
+  historyKey = null;
+  currentHistory = [];
+  storedHistory = [];
+  batches = shared.normalizeBatches(null, null);
+  loadActiveBatch();
+  await new Promise((resolve) => chrome.storage.session.remove(HISTORY_KEY_SESSION_KEY, resolve));
+  populateHistoryDropdown(currentHistory);
+  updateLockControls();
+  showStatus("History locked", "success");
+}
+
+// ============================================================================
+// LIVE UPDATES
+// ============================================================================
+
+function newestHistoryText() {
+  return currentHistory.length ? currentHistory[currentHistory.length - 1].text : "";
+}
+
+// Re-reads history, the session-only list and the lock state after another context changed them.
+// Runs on the history queue so it sees our own writes in order.
+async function followStoredHistory(keyChange) {
+  const shownNewest = newestHistoryText();
+  if (keyChange) {
+    const rawKey = keyChange.newValue;
+    historyKey = rawKey ? await shared.importHistoryKey(rawKey) : null;
+    await reloadBatches();
+  }
+  const session = await sessionStorageGet([SESSION_HISTORY_KEY]);
+  sessionHistory = shared.normalizeHistory(session?.[SESSION_HISTORY_KEY]);
+  if (isHistoryLocked()) {
+    currentHistory = [];
+    storedHistory = [];
+  } else {
+    const { locked, history, revision } = await readStoredHistory();
+    if (locked) return;
+    mergeStoredHistory(history);
+    historyClient.observe(revision);
+  }
+  populateHistoryDropdown(currentHistory);
+  updateLockControls();
+
+  // Follow a new capture only when the newest item is on screen and isn't being edited.
+  const newest = newestHistoryText();
+  const idle = !batchMode && payloadType === "text" && document.activeElement !== textInput;
+  if (idle && newest && newest !== shownNewest && trimmedText(textInput.value) === shownNewest) {
+    textInput.value = newest;
+    generateQRCode(newest);
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[HISTORY_LOCK_KEY]) historyLock = changes[HISTORY_LOCK_KEY].newValue ?? null;
+  const keyChange = area === "session" ? changes[HISTORY_KEY_SESSION_KEY] : undefined;
+  const localChange = area === "local" && (changes[STORAGE_KEY] || changes[HISTORY_LOCK_KEY]);
+  const sessionChange = area === "session" && changes[SESSION_HISTORY_KEY];
+  if (!localChange && !keyChange && !sessionChange) return;
+  void enqueueHistoryWrite(() => followStoredHistory(keyChange)).catch((err) =>
+    console.error("Failed to follow history changes:", err)
+  );
+});
+
+// Writes batch mode and the working items / position back into the active named batch, encrypted
+// while history lock is on. Locked batches can't be written, so only batch mode is saved then.
 function saveBatchState() {
-  storageSet({
-    [BATCH_MODE_KEY]: batchMode,
-    [BATCH_ITEMS_KEY]: batchItems,
-    [BATCH_INDEX_KEY]: batchIndex,
+  batches = shared.updateActiveBatch(batches, { items: batchItems, index: batchIndex });
+  const snapshot = batches;
+  const locked = isHistoryLocked();
+  const key = historyLock ? historyKey : null;
+  if (locked && batchMode) showStatus("Unlock history to save the batch", "error");
+  enqueueBatchWrite(async () => {
+    const values = { [BATCH_MODE_KEY]: batchMode };
+    if (!locked) {
+      values[BATCHES_KEY] = await shared.encodeBatchesForStorage(snapshot, key);
+      lastSavedBatches = JSON.stringify(values[BATCHES_KEY]);
+    }
+    await storageSet(values);
   }).catch(err => console.error("Failed to save batch state:", err));
 }
 
+// Re-reads the batches after the history key came or went: they are encrypted along with history.
+async function reloadBatches() {
+  const stored = await storageGet([BATCHES_KEY]);
+  try {
+    batches = (await shared.readStoredBatches(stored?.[BATCHES_KEY], historyKey)).batches;
+  } catch (err) {
+    console.error("Failed to decrypt batches:", err);
+    batches = shared.normalizeBatches(null, null);
+  }
+  loadActiveBatch();
+}
+
+// Makes the active named batch the working batch (items, position and editor contents).
+function loadActiveBatch() {
+  const active = shared.getActiveBatch(batches);
+  batchItems = active.items.slice(0, limits.batchLimit);
+  batchIndex = clampIndex(active.index, batchItems.length);
+  if (batchMode) {
+    textInput.value = batchItems.join("\n");
+    generateQRCode(getActiveText());
+  }
+  updateBatchControls();
+}
+
+// "12 / 20 done" plus the status of the item on screen.
+function updateBatchProgress() {
+  if (!batchProgressRow || !batchProgressCountEl) return;
+  // The working items may have unsaved edits; line the stored statuses up with them.
+  const active = shared.getActiveBatch(shared.updateActiveBatch(batches, { items: batchItems }));
+  const progress = shared.countBatchProgress(active);
+  const status = shared.getBatchItemStatus(active, batchIndex);
+  batchProgressCountEl.textContent =
+    `${progress.done} / ${progress.total} done` + (progress.skipped ? ` · ${progress.skipped} skipped` : "");
+  batchProgressRow.classList.toggle("hidden", !batchMode);
+  batchCountEl.classList.toggle("status-done", status === "done");
+  batchCountEl.classList.toggle("status-skipped", status === "skipped");
+  batchDoneBtn.setAttribute("aria-pressed", String(status === "done"));
+  batchSkipBtn.setAttribute("aria-pressed", String(status === "skipped"));
+  const enabled = batchMode && batchItems.length > 0;
+  batchDoneBtn.disabled = !enabled;
+  batchSkipBtn.disabled = !enabled;
+  batchNextPendingBtn.disabled = !enabled || progress.pending === 0;
+  batchResetProgressBtn.disabled = !enabled || progress.pending === progress.total;
+}
+
+function populateBatchSelect() {
+  if (!batchSelect) return;
+  batchSelect.innerHTML = "";
+  for (const batch of batches.collections) {
+    const option = document.createElement("option");
+    option.value = batch.id;
+    option.textContent = `${batch.name} (${batch.items.length})`;
+    batchSelect.appendChild(option);
+  }
+  batchSelect.value = batches.activeId;
+}
+
 function getActiveText() {
   if (batchMode) {
     return batchItems[batchIndex] ?? "";
@@ -237,35 +1046,114 @@ function updateBatchControls() {
   const enabled = batchMode && count > 0;
   batchPrevBtn.disabled = !enabled || batchIndex <= 0;
   batchNextBtn.disabled = !enabled || batchIndex >= count - 1;
+  if (batchPrintBtn) batchPrintBtn.disabled = !enabled;
+  if (batchSlideshowBtn) batchSlideshowBtn.disabled = !enabled;
   batchControls.classList.toggle("hidden", !batchMode);
+  batchCollectionRow?.classList.toggle("hidden", !batchMode);
+  populateBatchSelect();
+  updateBatchProgress();
   historyDropdown.classList.toggle("hidden", batchMode);
+  openHistoryBtn?.classList.toggle("hidden", batchMode);
+  lockHistoryBtn?.classList.toggle("hidden", batchMode || !historyLock || isHistoryLocked());
+  payloadTypeRow?.classList.toggle("hidden", batchMode);
 }
 
 // Current in-memory state
 let currentHistory = [];
+let storedHistory = [];  // history as last read from or written to storage (the merge base)
+let sessionHistory = [];
+let sensitiveHandling = shared.DEFAULT_SENSITIVE_HANDLING;
+let limits = shared.normalizeLimits();
+let historyLock = null;  // lock record when history is encrypted
+let historyKey = null;   // CryptoKey while unlocked
+const enqueueHistoryWrite = shared.createSerialQueue();
+const enqueueBatchWrite = shared.createSerialQueue();
 let lastSeenClipboard = "";
 let batchMode = false;
-let batchItems = [];
+let batches = shared.normalizeBatches();
+let lastSavedBatches = "";  // JSON of our own last write, to ignore its storage.onChanged echo
+let batchItems = [];        // working copy of the active batch
 let batchIndex = 0;
+let qrOptions = { ...shared.DEFAULT_QR_OPTIONS };
+let payloadType = "text";
 
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
 
+// Query params set by background.js when it opens the popup in a window.
+function getLaunchParams() {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    text: trimmedText(params.get("text")),
+    error: trimmedText(params.get("error")),
+  };
+}
+
+const launchParams = getLaunchParams();
+
+function showLaunchResult() {
+  if (launchParams.error) {
+    updateBatchControls();
+    generateQRCode("");
+    showStatus(launchParams.error, "error");
+    return;
+  }
+
+  // The payload was already added to history by the background; show it in text mode
+  // for this window only (batch state in storage is left untouched).
+  batchMode = false;
+  if (batchModeToggle) batchModeToggle.checked = false;
+  updateBatchControls();
+  textInput.value = launchParams.text;
+  generateQRCode(launchParams.text);
+}
+
 async function loadInitialState() {
   const stored = await storageGet([
     STORAGE_KEY,
+    HISTORY_REVISION_KEY,
     LAST_SEEN_KEY,
     SHOW_TOAST_KEY,
     BATCH_MODE_KEY,
-    BATCH_ITEMS_KEY,
-    BATCH_INDEX_KEY,
+    BATCHES_KEY,
+    ...LEGACY_BATCH_KEYS,
+    QR_OPTIONS_KEY,
+    SENSITIVE_HANDLING_KEY,
+    HISTORY_LOCK_KEY,
+    RETENTION_KEY,
+    LIMITS_KEY,
   ]);
-  currentHistory = coerceTextArray(stored?.[STORAGE_KEY]);
-  lastSeenClipboard = trimmedText(stored?.[LAST_SEEN_KEY]);
+  const storedSession = await sessionStorageGet([SESSION_HISTORY_KEY, HISTORY_KEY_SESSION_KEY]);
+  sessionHistory = shared.normalizeHistory(storedSession?.[SESSION_HISTORY_KEY]);
+  sensitiveHandling = stored?.[SENSITIVE_HANDLING_KEY] ?? shared.DEFAULT_SENSITIVE_HANDLING;
+  limits = shared.normalizeLimits(stored?.[LIMITS_KEY]);
+  historyLock = stored?.[HISTORY_LOCK_KEY] ?? null;
+  historyClient.observe(stored?.[HISTORY_REVISION_KEY]);
+  try {
+    const rawKey = storedSession?.[HISTORY_KEY_SESSION_KEY];
+    historyKey = rawKey ? await shared.importHistoryKey(rawKey) : null;
+    await loadEncryptedState(stored, historyKey);
+  } catch (err) {
+    // A stale session key (e.g. after a passphrase reset): ask for the passphrase again.
+    console.error("Failed to decrypt history:", err);
+    historyKey = null;
+    currentHistory = [];
+    storedHistory = [];
+    batches = shared.normalizeBatches(null, null);
+    lastSeenClipboard = "";
+  }
+  // Don't show entries that expired, or fell outside a lowered limit, before the background caught up.
+  const retention = stored?.[RETENTION_KEY];
+  currentHistory = shared.purgeExpiredHistory(currentHistory, retention).history;
+  sessionHistory = shared.purgeExpiredHistory(sessionHistory, retention).history;
+  currentHistory = shared.trimHistoryToLimit(currentHistory, limits.historyLimit);
+  sessionHistory = shared.trimHistoryToLimit(sessionHistory, limits.historyLimit);
   batchMode = stored?.[BATCH_MODE_KEY] === true;
-  batchItems = coerceTextArray(stored?.[BATCH_ITEMS_KEY]).slice(0, BATCH_LIMIT);
-  batchIndex = clampIndex(Number(stored?.[BATCH_INDEX_KEY]), batchItems.length);
+  const activeBatch = shared.getActiveBatch(batches);
+  batchItems = activeBatch.items.slice(0, limits.batchLimit);
+  batchIndex = clampIndex(activeBatch.index, batchItems.length);
+  qrOptions = shared.normalizeQrOptions(stored?.[QR_OPTIONS_KEY]);
 
   if (showCopyToastCheckbox) {
     showCopyToastCheckbox.checked = stored?.[SHOW_TOAST_KEY] === true;
@@ -275,16 +1163,24 @@ async function loadInitialState() {
   }
 
   populateHistoryDropdown(currentHistory);
+  updateLockControls();
+
+  // Opened as a window from a context-menu entry: show that result instead of the clipboard.
+  if (launchParams.text || launchParams.error) {
+    showLaunchResult();
+    return;
+  }
 
   // When you copy from anywhere, we pick it up when you open the popup and add it to our history
   await new Promise((resolve) => setTimeout(resolve, 50));
   const clipboardContent = await readClipboard();
 
   let clipboardChanged = false;
+  let sensitiveReason = "";
   if (clipboardContent && clipboardContent !== lastSeenClipboard) {
-    currentHistory = updateHistoryArray(currentHistory, clipboardContent);
+    const decision = recordHistoryItem({ text: clipboardContent, method: "clipboard" }, clipboardContent);
+    sensitiveReason = shared.describeSensitiveDecision(decision);
     lastSeenClipboard = clipboardContent;
-    saveState(currentHistory, lastSeenClipboard);
     populateHistoryDropdown(currentHistory);
     clipboardChanged = true;
   }
@@ -301,9 +1197,9 @@ async function loadInitialState() {
   if (clipboardChanged) {
     textInput.value = clipboardContent;
     generateQRCode(clipboardContent);
-    showStatus("Loaded from clipboard", "success");
+    showStatus(sensitiveReason || "Loaded from clipboard", "success");
   } else {
-    const mostRecent = currentHistory.length > 0 ? currentHistory[currentHistory.length - 1] : "";
+    const mostRecent = currentHistory.length > 0 ? currentHistory[currentHistory.length - 1].text : "";
     textInput.value = mostRecent;
     generateQRCode(mostRecent);
   }
@@ -324,22 +1220,21 @@ const debouncedHistorySave = debounce(() => {
   if (!trimmed) return;
   
   // Update history with edited text
-  currentHistory = updateHistoryArray(currentHistory, trimmed);
-  saveHistoryOnly(currentHistory);
+  recordHistoryItem({ text: trimmed, method: "edit" });
   populateHistoryDropdown(currentHistory);
 }, 400);
 
 const debouncedBatchUpdate = debounce(() => {
   const rawLines = (textInput.value ?? "").toString().split(/\r?\n/);
   const normalized = rawLines.map((line) => trimmedText(line)).filter(Boolean);
-  const truncated = normalized.length > BATCH_LIMIT;
-  batchItems = normalized.slice(0, BATCH_LIMIT);
+  const truncated = normalized.length > limits.batchLimit;
+  batchItems = normalized.slice(0, limits.batchLimit);
   batchIndex = clampIndex(batchIndex, batchItems.length);
   saveBatchState();
   updateBatchControls();
   generateQRCode(getActiveText());
   if (truncated) {
-    showStatus(`Batch limited to ${BATCH_LIMIT} items`, "error");
+    showStatus(`Batch limited to ${limits.batchLimit} items`, "error");
   }
 }, 350);
 
@@ -365,13 +1260,272 @@ textInput.addEventListener("paste", () => {
     if (!trimmed) return;
 
     textInput.value = trimmed;
-    currentHistory = updateHistoryArray(currentHistory, trimmed);
-    saveHistoryOnly(currentHistory);
+    const decision = recordHistoryItem({ text: trimmed, method: "edit" });
+    if (decision.match) showStatus(shared.describeSensitiveDecision(decision), "success");
     populateHistoryDropdown(currentHistory);
     generateQRCode(trimmed);
   }, 0);
 });
 
+const debouncedPayloadUpdate = debounce(updateStructuredPayload, 300);
+
+const debouncedLabelSave = debounce(() => {
+  const text = getActiveText();
+  if (!findHistoryEntry(text)?.pinned) return;
+  currentHistory = shared.setHistoryLabel(currentHistory, text, pinLabelInput.value);
+  saveHistoryOp({ kind: "label", text, label: pinLabelInput.value });
+  populateHistoryDropdown(currentHistory);
+}, 400);
+
+if (openHistoryBtn) {
+  openHistoryBtn.addEventListener("click", () => {
+    flushPendingSaves();
+    window.open(chrome.runtime.getURL("history.html"), "_blank");
+  });
+}
+
+if (batchImportBtn) {
+  batchImportBtn.addEventListener("click", () => {
+    flushPendingSaves();
+    window.open(chrome.runtime.getURL("import.html"), "_blank");
+  });
+}
+
+if (batchSlideshowBtn) {
+  batchSlideshowBtn.addEventListener("click", () => {
+    flushPendingSaves();
+    window.open(chrome.runtime.getURL("slideshow.html"), "_blank");
+  });
+}
+
+// Follow batch changes made elsewhere: a slideshow tab advancing, an import, history's "Send to batch".
+chrome.storage.onChanged.addListener((changes, area) => {
+  const change = area === "local" ? changes[BATCHES_KEY] : null;
+  if (!change?.newValue || JSON.stringify(change.newValue) === lastSavedBatches) return;
+  void enqueueBatchWrite(() => followStoredBatches(change.newValue)).catch((err) =>
+    console.error("Failed to follow batch changes:", err)
+  );
+});
+
+async function followStoredBatches(value) {
+  const { locked, batches: next } = await shared.readStoredBatches(value, historyKey);
+  if (locked) return;
+  const previous = shared.getActiveBatch(batches);
+  batches = next;
+  const active = shared.getActiveBatch(batches);
+  if (active.id === previous.id && active.items.join("\n") === batchItems.join("\n")) {
+    // Only the position moved: leave the editor alone in case it has unsaved typing.
+    batchIndex = clampIndex(active.index, batchItems.length);
+    updateBatchControls();
+    if (batchMode) generateQRCode(getActiveText());
+    return;
+  }
+  loadActiveBatch();
+}
+
+function cancelBatchRename() {
+  batchNameInput?.classList.add("hidden");
+  batchSelect?.classList.remove("hidden");
+}
+
+function commitBatchRename() {
+  if (batchNameInput?.classList.contains("hidden")) return;
+  batches = shared.renameBatch(batches, batches.activeId, batchNameInput.value);
+  cancelBatchRename();
+  saveBatchState();
+  updateBatchControls();
+}
+
+// Runs `action` on the active named batch after saving pending edits, then shows the result.
+function changeBatches(action, message) {
+  flushPendingSaves();
+  batches = action(shared.updateActiveBatch(batches, { items: batchItems, index: batchIndex }));
+  loadActiveBatch();
+  saveBatchState();
+  if (message) showStatus(message, "success");
+}
+
+if (batchSelect) {
+  batchSelect.addEventListener("change", () => {
+    changeBatches((state) => shared.switchBatch(state, batchSelect.value));
+  });
+}
+
+if (batchNewBtn) {
+  batchNewBtn.addEventListener("click", () => {
+    changeBatches((state) => shared.createBatch(state), "New batch started");
+    textInput.focus();
+  });
+}
+
+if (batchDuplicateBtn) {
+  batchDuplicateBtn.addEventListener("click", () => {
+    changeBatches((state) => shared.duplicateBatch(state, state.activeId), "Batch duplicated");
+  });
+}
+
+if (batchRenameBtn && batchNameInput) {
+  batchRenameBtn.addEventListener("click", () => {
+    batchNameInput.value = shared.getActiveBatch(batches).name;
+    batchSelect?.classList.add("hidden");
+    batchNameInput.classList.remove("hidden");
+    batchNameInput.focus();
+    batchNameInput.select();
+  });
+  batchNameInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      commitBatchRename();
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      cancelBatchRename();
+    }
+  });
+  batchNameInput.addEventListener("blur", commitBatchRename);
+}
+
+// Destructive buttons ask for a second click within a few seconds rather than a dialog, which
+// would close the popup. Resolves true on the confirming click.
+const confirmTimers = new Map();
+
+function disarmConfirm(button) {
+  clearTimeout(confirmTimers.get(button)?.timer);
+  const armed = confirmTimers.get(button);
+  if (armed) button.textContent = armed.label;
+  confirmTimers.delete(button);
+  button.classList.remove("confirming");
+}
+
+function confirmByClickingAgain(button, prompt) {
+  if (confirmTimers.has(button)) {
+    disarmConfirm(button);
+    return true;
+  }
+  confirmTimers.set(button, {
+    label: button.textContent,
+    timer: setTimeout(() => disarmConfirm(button), 3000),
+  });
+  button.classList.add("confirming");
+  button.textContent = prompt;
+  return false;
+}
+
+if (batchDeleteBtn) {
+  batchDeleteBtn.addEventListener("click", () => {
+    const active = shared.getActiveBatch(batches);
+    if (active.items.length && !confirmByClickingAgain(batchDeleteBtn, "Really delete?")) return;
+    changeBatches((state) => shared.deleteBatch(state, active.id), `Deleted "${active.name}"`);
+  });
+}
+
+// ============================================================================
+// BATCH PROGRESS
+// ============================================================================
+
+function goToBatchIndex(index) {
+  if (index < 0) {
+    showStatus("No pending items left", "success");
+    return;
+  }
+  batchIndex = index;
+  saveBatchState();
+  updateBatchControls();
+  generateQRCode(getActiveText());
+}
+
+// Marks the item on screen (toggling back to pending if it already has `status`), then moves to the
+// next pending item.
+function markBatchItem(status) {
+  if (!batchMode || !batchItems.length) return;
+  flushPendingSaves();
+  const current = shared.getBatchItemStatus(shared.getActiveBatch(batches), batchIndex);
+  const next = current === status ? "pending" : status;
+  batches = shared.setBatchItemStatus(batches, batchIndex, next);
+  if (next === "pending") {
+    saveBatchState();
+    updateBatchControls();
+    return;
+  }
+  const nextIndex = shared.findNextPendingIndex(shared.getActiveBatch(batches), batchIndex);
+  goToBatchIndex(nextIndex < 0 ? batchIndex : nextIndex);
+  if (nextIndex < 0) showStatus("Every item is done or skipped", "success");
+}
+
+function jumpToNextPending() {
+  if (!batchMode || !batchItems.length) return;
+  flushPendingSaves();
+  goToBatchIndex(shared.findNextPendingIndex(shared.getActiveBatch(batches), batchIndex));
+}
+
+batchDoneBtn?.addEventListener("click", () => markBatchItem("done"));
+batchSkipBtn?.addEventListener("click", () => markBatchItem("skipped"));
+batchNextPendingBtn?.addEventListener("click", jumpToNextPending);
+
+if (batchResetProgressBtn) {
+  batchResetProgressBtn.addEventListener("click", () => {
+    if (!confirmByClickingAgain(batchResetProgressBtn, "Reset progress?")) return;
+    flushPendingSaves();
+    batches = shared.resetBatchProgress(batches);
+    saveBatchState();
+    updateBatchControls();
+    showStatus("Progress reset", "success");
+  });
+}
+
+// D / S / N mark done, skip and jump while focus isn't in a text field.
+const BATCH_PROGRESS_KEYS = { d: () => markBatchItem("done"), s: () => markBatchItem("skipped"), n: jumpToNextPending };
+
+document.addEventListener("keydown", (e) => {
+  if (!batchMode || e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+  if (e.target instanceof HTMLElement && e.target.closest("input, textarea, select, [contenteditable]")) return;
+  const action = BATCH_PROGRESS_KEYS[e.key.toLowerCase()];
+  if (!action) return;
+  e.preventDefault();
+  action();
+});
+
+if (batchPrintBtn) {
+  batchPrintBtn.addEventListener("click", () => {
+    flushPendingSaves();
+    window.open(chrome.runtime.getURL("print.html"), "_blank");
+  });
+}
+
+if (pinCurrentBtn) {
+  pinCurrentBtn.addEventListener("click", togglePinForActiveText);
+}
+
+if (unlockPanel) {
+  unlockPanel.addEventListener("submit", (e) => {
+    e.preventDefault();
+    void unlockHistory(unlockPassphraseInput.value).catch((err) => {
+      unlockErrorEl.textContent = "Could not unlock history.";
+      console.error("Failed to unlock history:", err);
+    });
+  });
+}
+
+if (lockHistoryBtn) {
+  lockHistoryBtn.addEventListener("click", () => {
+    void lockHistory();
+  });
+}
+
+if (pinLabelInput) {
+  pinLabelInput.addEventListener("input", debouncedLabelSave);
+}
+
+if (payloadTypeSelect) {
+  payloadTypeSelect.addEventListener("change", () => {
+    setPayloadType(payloadTypeSelect.value);
+  });
+}
+
+if (payloadForm) {
+  payloadForm.addEventListener("input", debouncedPayloadUpdate);
+  payloadForm.addEventListener("change", debouncedPayloadUpdate);
+}
+
 // Toast toggle – content script reads this to show/hide copy toast
 if (showCopyToastCheckbox) {
   showCopyToastCheckbox.addEventListener("change", () => {
@@ -385,6 +1539,9 @@ if (batchModeToggle) {
   batchModeToggle.addEventListener("change", () => {
     const previousActive = getActiveText();
     batchMode = batchModeToggle.checked === true;
+    if (batchMode && payloadType !== "text") {
+      setPayloadType("text");
+    }
 
     if (batchMode) {
       if (batchItems.length === 0) {
@@ -420,6 +1577,11 @@ if (batchNextBtn) {
   batchNextBtn.addEventListener("click", () => {
     if (!batchMode) return;
     if (batchIndex >= batchItems.length - 1) return;
+    // Moving on counts as having shown (and scanned) the current item.
+    batches = shared.updateActiveBatch(batches, { items: batchItems });
+    if (shared.getBatchItemStatus(shared.getActiveBatch(batches), batchIndex) === "pending") {
+      batches = shared.setBatchItemStatus(batches, batchIndex, "done");
+    }
     batchIndex += 1;
     saveBatchState();
     updateBatchControls();
@@ -427,42 +1589,142 @@ if (batchNextBtn) {
   });
 }
 
-// History dropdown handler – select a recent item (updates input, QR, and copies to clipboard)
-historyDropdown.addEventListener("change", async () => {
-  const val = historyDropdown.value;
-  if (!val) return;
+if (toggleSettingsBtn) {
+  toggleSettingsBtn.addEventListener("click", () => {
+    setSettingsOpen(settingsPanel.classList.contains("hidden"));
+  });
+}
+
+if (settingsPanel) {
+  settingsPanel.addEventListener("submit", (e) => {
+    e.preventDefault();
+    void saveSettingsFromForm();
+  });
+}
 
+if (settingsResetBtn) {
+  settingsResetBtn.addEventListener("click", () => {
+    populateSettingsForm(shared.DEFAULT_QR_OPTIONS);
+  });
+}
+
+if (openOptionsBtn) {
+  openOptionsBtn.addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+  });
+}
+
+if (copyQrImageBtn) copyQrImageBtn.addEventListener("click", copyQrAsPng);
+if (saveQrPngBtn) saveQrPngBtn.addEventListener("click", saveQrAsPng);
+if (saveQrSvgBtn) saveQrSvgBtn.addEventListener("click", saveQrAsSvg);
+
+// Shows `val` in the editor and QR (in batch mode, as a new last item), copies it to the
+// clipboard, and moves it to the end of history. Shared by the history dropdown and the decoder;
+// `meta` is optional capture metadata. Resolves to { copied, reason } where `reason` explains a
+// sensitive item that wasn't stored, or a full batch.
+async function loadTextAndCopy(val, meta) {
   // Update text input and QR code
-  textInput.value = val;
-  generateQRCode(val);
+  if (payloadType !== "text") {
+    setPayloadType("text");
+  }
+  let batchFull = false;
   if (batchMode) {
-    batchItems = [val];
-    batchIndex = 0;
-    saveBatchState();
+    // The text joins the batch as its last item rather than replacing the batch.
+    const items = parseBatchItems([...batchItems, val].join("\n"));
+    batchFull = items.length === batchItems.length;
+    if (!batchFull) {
+      batchItems = items;
+      batchIndex = items.length - 1;
+      textInput.value = batchItems.join("\n");
+      saveBatchState();
+    }
+    generateQRCode(getActiveText());
     updateBatchControls();
+  } else {
+    textInput.value = val;
+    generateQRCode(val);
   }
 
   // Copy to clipboard - this makes the extension a clipboard manager!
   const copied = await copyToClipboard(val);
   
   // Update state: move to end of history and update lastSeen
-  currentHistory = updateHistoryArray(currentHistory, val);
+  const decision = recordHistoryItem({ ...meta, text: val }, val);
   lastSeenClipboard = val;
-  saveState(currentHistory, lastSeenClipboard);
   populateHistoryDropdown(currentHistory);
+  const reason = batchFull ? `Batch limited to ${limits.batchLimit} items; copied only` : "";
+  return { copied, reason: reason || shared.describeSensitiveDecision(decision) };
+}
+
+// History dropdown handler – select a recent item (updates input, QR, and copies to clipboard)
+historyDropdown.addEventListener("change", async () => {
+  const val = historyDropdown.value;
+  if (!val) return;
+
+  const { copied, reason } = await loadTextAndCopy(val);
 
   // Reset dropdown to placeholder
   historyDropdown.selectedIndex = 0;
 
-  if (copied) {
+  if (reason) {
+    showStatus(reason, "success");
+  } else if (copied) {
     showStatus("Copied to clipboard!", "success");
   } else {
     showStatus("Loaded from history", "success");
   }
 });
 
+if (toggleDecodeBtn) {
+  toggleDecodeBtn.addEventListener("click", () => {
+    setDecodeOpen(decodePanel.classList.contains("hidden"));
+  });
+}
+
+if (decodePickFileBtn && decodeFileInput) {
+  decodePickFileBtn.addEventListener("click", () => decodeFileInput.click());
+  decodeFileInput.addEventListener("change", () => {
+    const file = decodeFileInput.files?.[0];
+    decodeFileInput.value = "";
+    if (file) void decodeAndLoad(file);
+  });
+}
+
+if (decodeScanTabBtn) {
+  decodeScanTabBtn.addEventListener("click", () => {
+    void scanVisibleTab();
+  });
+}
+
+if (decodeDropZone) {
+  decodeDropZone.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    decodeDropZone.classList.add("dragging");
+  });
+  decodeDropZone.addEventListener("dragleave", () => {
+    decodeDropZone.classList.remove("dragging");
+  });
+  decodeDropZone.addEventListener("drop", (e) => {
+    e.preventDefault();
+    decodeDropZone.classList.remove("dragging");
+    const file = firstImageFile(e.dataTransfer);
+    if (file) void decodeAndLoad(file);
+    else showStatus("Drop an image file", "error");
+  });
+}
+
+// Pasting an image anywhere in the popup decodes it (text pastes are left alone).
+document.addEventListener("paste", (e) => {
+  const file = firstImageFile(e.clipboardData);
+  if (!file || e.clipboardData?.getData("text/plain")) return;
+  e.preventDefault();
+  void decodeAndLoad(file);
+});
+
 // Flush pending saves on popup close
 function flushPendingSaves() {
+  debouncedLabelSave.flush();
+  debouncedPayloadUpdate.flush();
   debouncedHistorySave.flush();
   debouncedBatchUpdate.flush();
 }
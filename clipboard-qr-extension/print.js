@@ -0,0 +1,446 @@
+// Print sheet: lays out every batch item as a QR label (see shared.computeSheetLayout)
+// and prints it, or saves it as PDF or PNG.
+
+// DOM Elements
+const templateSelect = document.getElementById("sheet-template");
+const captionsCheckbox = document.getElementById("sheet-captions");
+const printBtn = document.getElementById("sheet-print");
+const savePdfBtn = document.getElementById("sheet-pdf");
+const savePngBtn = document.getElementById("sheet-png");
+const customFieldset = document.getElementById("custom-template");
+const customPageSelect = document.getElementById("custom-page");
+const sheetErrorEl = document.getElementById("sheet-error");
+const sheetSummaryEl = document.getElementById("sheet-summary");
+const sheetEmptyEl = document.getElementById("sheet-empty");
+const sheetPagesEl = document.getElementById("sheet-pages");
+const pageSizeStyle = document.getElementById("page-size");
+const pageStatusEl = document.getElementById("page-status");
+
+// Custom template fields, keyed by template property
+const CUSTOM_FIELDS = {
+  columns: document.getElementById("custom-columns"),
+  rows: document.getElementById("custom-rows"),
+  marginTop: document.getElementById("custom-margin-top"),
+  marginBottom: document.getElementById("custom-margin-bottom"),
+  marginLeft: document.getElementById("custom-margin-left"),
+  marginRight: document.getElementById("custom-margin-right"),
+  gapX: document.getElementById("custom-gap-x"),
+  gapY: document.getElementById("custom-gap-y"),
+};
+
+// Storage keys (see popup.js)
+const BATCHES_KEY = "batches"; // named batches; the sheet shows the active one
+const LEGACY_BATCH_KEYS = ["batchItems", "batchIndex", "batchCaptions"];
+const QR_OPTIONS_KEY = "qrOptions";
+const PRINT_SHEET_KEY = "printSheet"; // { template, showCaptions, custom }
+const HISTORY_LOCK_KEY = "historyLock";
+const HISTORY_KEY_SESSION_KEY = "historyKey"; // chrome.storage.session, while encrypted history is unlocked
+const CUSTOM_TEMPLATE_ID = "custom";
+const PNG_DPI = 300;
+
+const shared = globalThis.ClipboardQrShared;
+
+let batchItems = [];
+let batchCaptions = {}; // { [payload]: caption } from a CSV/XLSX import
+let batchName = "";
+let batchKey = null; // history key the batches are encrypted with while history lock is on
+let batchesLocked = false;
+const enqueueBatchRead = shared.createSerialQueue(); // applies batch changes in order
+let qrOptions = { ...shared.DEFAULT_QR_OPTIONS };
+let sheetSettings = normalizeSheetSettings(null);
+let layout = null;
+let matrices = [];
+let statusTimeoutId = null;
+
+function storageGet(keys) {
+  return new Promise((resolve) => chrome.storage.local.get(keys, resolve));
+}
+
+function sessionStorageGet(keys) {
+  return new Promise((resolve) => chrome.storage.session.get(keys, resolve));
+}
+
+function storageSet(obj) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(obj, () => {
+      const err = chrome.runtime?.lastError;
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+function showStatus(message, type = "") {
+  pageStatusEl.textContent = message;
+  pageStatusEl.className = "page-status no-print";
+  if (type) pageStatusEl.classList.add(type);
+  clearTimeout(statusTimeoutId);
+  statusTimeoutId = setTimeout(() => {
+    pageStatusEl.textContent = "";
+    pageStatusEl.className = "page-status no-print";
+  }, 2500);
+}
+
+function normalizeSheetSettings(value) {
+  const v = value && typeof value === "object" ? value : {};
+  const template =
+    v.template === CUSTOM_TEMPLATE_ID || shared.LABEL_TEMPLATES[v.template]
+      ? v.template
+      : shared.DEFAULT_LABEL_TEMPLATE;
+  const custom = shared.validateSheetTemplate(v.custom).ok
+    ? v.custom
+    : { ...shared.LABEL_TEMPLATES[shared.DEFAULT_LABEL_TEMPLATE] };
+  return { template, showCaptions: v.showCaptions !== false, custom };
+}
+
+async function loadBatchKey(lock) {
+  const session = await sessionStorageGet([HISTORY_KEY_SESSION_KEY]);
+  ({ locked: batchesLocked, key: batchKey } = await shared.resolveBatchKey(lock, session?.[HISTORY_KEY_SESSION_KEY]));
+}
+
+// Takes the items and captions of the active named batch; false when the items didn't change.
+async function loadActiveBatch(value, legacy) {
+  const stored = await shared.readStoredBatches(value, batchKey, legacy);
+  batchesLocked ||= stored.locked;
+  const active = shared.getActiveBatch(stored.batches);
+  batchCaptions = active.captions;
+  batchName = active.name;
+  if (active.items.join("\n") === batchItems.join("\n")) return false;
+  batchItems = active.items;
+  return true;
+}
+
+function getActiveTemplate() {
+  return sheetSettings.template === CUSTOM_TEMPLATE_ID
+    ? sheetSettings.custom
+    : shared.LABEL_TEMPLATES[sheetSettings.template];
+}
+
+// Imported caption for the item, or the payload itself.
+function getCaption(index) {
+  const text = batchItems[index];
+  const caption = batchCaptions[text];
+  return typeof caption === "string" && caption.trim() ? caption : text;
+}
+
+// Module grid for `text`, or [] when it doesn't fit in a QR code.
+function createQrMatrix(text) {
+  if (!shared.qrPayloadFits(text, qrOptions.correctLevel)) return [];
+  const holder = document.createElement("div");
+  try {
+    const qr = new QRCode(holder, {
+      text,
+      width: 64,
+      height: 64,
+      correctLevel: QRCode.CorrectLevel[qrOptions.correctLevel],
+    });
+    return shared.qrModelToMatrix(qr._oQRCode);
+  } catch (err) {
+    console.error("QR generation failed", err);
+    return [];
+  }
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function renderTemplateOptions() {
+  for (const [id, template] of Object.entries(shared.LABEL_TEMPLATES)) {
+    templateSelect.appendChild(new Option(template.name, id));
+  }
+  templateSelect.appendChild(new Option("Custom grid…", CUSTOM_TEMPLATE_ID));
+  for (const [id, page] of Object.entries(shared.PAGE_SIZES)) {
+    customPageSelect.appendChild(new Option(page.label, id));
+  }
+}
+
+function renderSettings() {
+  templateSelect.value = sheetSettings.template;
+  captionsCheckbox.checked = sheetSettings.showCaptions;
+  customFieldset.classList.toggle("hidden", sheetSettings.template !== CUSTOM_TEMPLATE_ID);
+  customPageSelect.value = sheetSettings.custom.page;
+  for (const [key, input] of Object.entries(CUSTOM_FIELDS)) {
+    input.value = String(sheetSettings.custom[key] ?? 0);
+  }
+}
+
+function placeBox(el, box) {
+  el.style.left = `${box.x}mm`;
+  el.style.top = `${box.y}mm`;
+  el.style.width = `${box.width ?? box.size}mm`;
+  el.style.height = `${box.height ?? box.size}mm`;
+}
+
+function createLabel(cell) {
+  const fragment = document.createDocumentFragment();
+  const outline = document.createElement("div");
+  outline.className = "sheet-label";
+  placeBox(outline, { x: cell.x, y: cell.y, width: layout.labelWidth, height: layout.labelHeight });
+  fragment.appendChild(outline);
+
+  const qr = document.createElement("div");
+  qr.className = "sheet-qr";
+  placeBox(qr, cell.qr);
+  const matrix = matrices[cell.index];
+  if (matrix.length) {
+    // buildQrSvg escapes the colors, so the markup is safe to insert.
+    qr.innerHTML = shared.buildQrSvg(matrix, {
+      margin: qrOptions.quietZone,
+      colorDark: qrOptions.colorDark,
+      colorLight: qrOptions.colorLight,
+    });
+  } else {
+    qr.classList.add("sheet-qr-error");
+    qr.textContent = "Too long for a QR code";
+  }
+  fragment.appendChild(qr);
+
+  if (cell.caption) {
+    const caption = document.createElement("div");
+    caption.className = "sheet-caption";
+    caption.style.textAlign = cell.caption.align;
+    caption.textContent = getCaption(cell.index);
+    caption.title = getCaption(cell.index);
+    placeBox(caption, cell.caption);
+    fragment.appendChild(caption);
+  }
+  return fragment;
+}
+
+function render() {
+  const { ok, errors } = shared.validateSheetTemplate(getActiveTemplate());
+  sheetErrorEl.textContent = errors.join("\n");
+  layout = ok
+    ? shared.computeSheetLayout(getActiveTemplate(), batchItems.length, {
+        showCaptions: sheetSettings.showCaptions,
+      })
+    : null;
+
+  sheetPagesEl.innerHTML = "";
+  sheetEmptyEl.classList.toggle("hidden", batchItems.length > 0);
+  sheetEmptyEl.textContent = batchesLocked
+    ? "History is locked. Unlock it in the popup to print the batch."
+    : "The batch is empty. Turn on batch mode in the popup and add one item per line.";
+  for (const btn of [printBtn, savePdfBtn, savePngBtn]) {
+    btn.disabled = !layout || batchItems.length === 0;
+  }
+  if (!layout) {
+    sheetSummaryEl.textContent = "";
+    return;
+  }
+
+  pageSizeStyle.textContent = `@page { size: ${layout.pageWidth}mm ${layout.pageHeight}mm; margin: 0; }`;
+  const pageCount = layout.pages.length;
+  sheetSummaryEl.textContent =
+    `${batchName}: ${batchItems.length} items · ${pageCount} ${pageCount === 1 ? "page" : "pages"} · ` +
+    `${layout.labelWidth.toFixed(1)} × ${layout.labelHeight.toFixed(1)} mm labels`;
+
+  for (const cells of layout.pages) {
+    const page = document.createElement("section");
+    page.className = "sheet-page";
+    page.style.width = `${layout.pageWidth}mm`;
+    page.style.height = `${layout.pageHeight}mm`;
+    for (const cell of cells) page.appendChild(createLabel(cell));
+    sheetPagesEl.appendChild(page);
+  }
+}
+
+// ============================================================================
+// EXPORT (PDF / PNG)
+// ============================================================================
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function canvasToPngBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error("Failed to generate PNG image."));
+        return;
+      }
+      resolve(blob);
+    }, "image/png");
+  });
+}
+
+function saveSheetPdf() {
+  const items = batchItems.map((text, i) => ({ matrix: matrices[i], caption: getCaption(i) }));
+  const pdf = shared.buildSheetPdf(layout, items, {
+    margin: qrOptions.quietZone,
+    colorDark: qrOptions.colorDark,
+    colorLight: qrOptions.colorLight,
+  });
+  downloadBlob(new Blob([pdf], { type: "application/pdf" }), "qr-sheet.pdf");
+  showStatus("Saved qr-sheet.pdf", "success");
+}
+
+// Draws one sheet page at PNG_DPI, the same way buildSheetPdf does.
+function renderPagePng(cells) {
+  const scale = PNG_DPI / 25.4;
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(layout.pageWidth * scale);
+  canvas.height = Math.round(layout.pageHeight * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  for (const cell of cells) {
+    const matrix = matrices[cell.index];
+    const count = matrix.length;
+    if (count) {
+      const module = (cell.qr.size * scale) / (count + qrOptions.quietZone * 2);
+      const left = cell.qr.x * scale;
+      const top = cell.qr.y * scale;
+      const edge = (origin, i) => Math.round(origin + (i + qrOptions.quietZone) * module);
+      ctx.fillStyle = qrOptions.colorLight;
+      ctx.fillRect(left, top, cell.qr.size * scale, cell.qr.size * scale);
+      ctx.fillStyle = qrOptions.colorDark;
+      for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+          if (!matrix[row][col]) continue;
+          const x = edge(left, col);
+          const y = edge(top, row);
+          ctx.fillRect(x, y, edge(left, col + 1) - x, edge(top, row + 1) - y);
+        }
+      }
+    }
+    if (cell.caption) {
+      const width = cell.caption.width * scale;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(cell.caption.x * scale, cell.caption.y * scale, width, cell.caption.height * scale);
+      ctx.clip();
+      ctx.fillStyle = "#000000";
+      ctx.font = `${Math.round((7 / 72) * PNG_DPI)}px Helvetica, Arial, sans-serif`;
+      ctx.textBaseline = "middle";
+      ctx.textAlign = cell.caption.align;
+      const x = cell.caption.align === "center" ? (cell.caption.x * scale + width / 2) : cell.caption.x * scale;
+      ctx.fillText(getCaption(cell.index).replace(/\s+/g, " "), x, (cell.caption.y + cell.caption.height / 2) * scale);
+      ctx.restore();
+    }
+  }
+  return canvasToPngBlob(canvas);
+}
+
+async function saveSheetPng() {
+  const pageCount = layout.pages.length;
+  for (let i = 0; i < pageCount; i++) {
+    const filename = pageCount === 1 ? "qr-sheet.png" : `qr-sheet-${i + 1}.png`;
+    downloadBlob(await renderPagePng(layout.pages[i]), filename);
+  }
+  showStatus(pageCount === 1 ? "Saved qr-sheet.png" : `Saved ${pageCount} PNG pages`, "success");
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+async function saveSheetSettings() {
+  try {
+    await storageSet({ [PRINT_SHEET_KEY]: sheetSettings });
+  } catch (err) {
+    console.error("Failed to save print sheet settings", err);
+  }
+}
+
+function readCustomTemplate() {
+  const custom = { page: customPageSelect.value };
+  for (const [key, input] of Object.entries(CUSTOM_FIELDS)) custom[key] = input.valueAsNumber;
+  return custom;
+}
+
+templateSelect.addEventListener("change", () => {
+  sheetSettings = { ...sheetSettings, template: templateSelect.value };
+  customFieldset.classList.toggle("hidden", sheetSettings.template !== CUSTOM_TEMPLATE_ID);
+  render();
+  void saveSheetSettings();
+});
+
+captionsCheckbox.addEventListener("change", () => {
+  sheetSettings = { ...sheetSettings, showCaptions: captionsCheckbox.checked };
+  render();
+  void saveSheetSettings();
+});
+
+customFieldset.addEventListener("input", () => {
+  const custom = readCustomTemplate();
+  const { ok, errors } = shared.validateSheetTemplate(custom);
+  if (!ok) {
+    sheetErrorEl.textContent = errors.join("\n");
+    return;
+  }
+  sheetSettings = { ...sheetSettings, custom };
+  render();
+  void saveSheetSettings();
+});
+
+printBtn.addEventListener("click", () => window.print());
+
+savePdfBtn.addEventListener("click", () => {
+  try {
+    saveSheetPdf();
+  } catch (err) {
+    showStatus("Failed to save PDF", "error");
+    console.error("Failed to save sheet as PDF", err);
+  }
+});
+
+savePngBtn.addEventListener("click", () => {
+  void saveSheetPng().catch((err) => {
+    showStatus("Failed to save PNG", "error");
+    console.error("Failed to save sheet as PNG", err);
+  });
+});
+
+// Follow batch edits made in the popup while this page is open, and history being locked or
+// unlocked (the batches are encrypted along with it).
+chrome.storage.onChanged.addListener((changes, area) => {
+  const keyChanged =
+    (area === "local" && changes[HISTORY_LOCK_KEY]) || (area === "session" && changes[HISTORY_KEY_SESSION_KEY]);
+  const batchesValue = area === "local" ? changes[BATCHES_KEY]?.newValue : undefined;
+  const optionsChange = area === "local" ? changes[QR_OPTIONS_KEY] : undefined;
+  if (!keyChanged && !batchesValue && !optionsChange) return;
+  void enqueueBatchRead(async () => {
+    let itemsChanged = false;
+    if (keyChanged) itemsChanged = await loadBatches();
+    else if (batchesValue) itemsChanged = await loadActiveBatch(batchesValue);
+    if (optionsChange) qrOptions = shared.normalizeQrOptions(optionsChange.newValue);
+    if (itemsChanged || optionsChange) matrices = batchItems.map(createQrMatrix);
+    render();
+  }).catch((err) => console.error("Failed to update the sheet", err));
+});
+
+async function loadBatches() {
+  const stored = await storageGet([BATCHES_KEY, HISTORY_LOCK_KEY, ...LEGACY_BATCH_KEYS]);
+  await loadBatchKey(stored?.[HISTORY_LOCK_KEY]);
+  return loadActiveBatch(stored?.[BATCHES_KEY], stored);
+}
+
+async function init() {
+  const stored = await storageGet([QR_OPTIONS_KEY, PRINT_SHEET_KEY]);
+  try {
+    await enqueueBatchRead(loadBatches);
+  } catch (err) {
+    console.error("Failed to read the batch", err);
+  }
+  qrOptions = shared.normalizeQrOptions(stored?.[QR_OPTIONS_KEY]);
+  sheetSettings = normalizeSheetSettings(stored?.[PRINT_SHEET_KEY]);
+  matrices = batchItems.map(createQrMatrix);
+  renderTemplateOptions();
+  renderSettings();
+  render();
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  void init();
+});
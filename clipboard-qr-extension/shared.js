@@ -7,6 +7,34 @@
     root.ClipboardQrShared = factory();
   }
 })(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  const QR_CORRECT_LEVELS = ["L", "M", "Q", "H"];
+  const DEFAULT_QR_OPTIONS = Object.freeze({
+    size: 150,
+    correctLevel: "M",
+    colorDark: "#000000",
+    colorLight: "#ffffff",
+    quietZone: 4,
+  });
+  const QR_SIZE_MIN = 64;
+  const QR_SIZE_MAX = 2048;
+  const QR_QUIET_ZONE_MAX = 16;
+  const QR_MIN_CONTRAST = 4;
+  // Byte-mode capacity of the largest QR version (40) for each error-correction level.
+  const QR_MAX_BYTES = Object.freeze({ L: 2953, M: 2331, Q: 1663, H: 1273 });
+
+  // How a history item was captured.
+  const CAPTURE_METHODS = ["copy", "cut", "paste", "clipboard", "edit", "context-menu", "decode"];
+  const CAPTURE_METHOD_LABELS = Object.freeze({
+    copy: "Copied on page",
+    cut: "Cut on page",
+    paste: "Pasted into page",
+    clipboard: "Read from clipboard",
+    edit: "Typed or edited",
+    "context-menu": "Context menu",
+    decode: "Decoded from image",
+  });
+  const SOURCE_TITLE_MAX_LENGTH = 200;
+
   function trimmedText(text) {
     return (text ?? "").toString().trim();
   }
@@ -16,79 +44,2519 @@
     return value.map(trimmedText).filter(Boolean);
   }
 
-  // Newest items are stored at the end of the array.
-  function updateHistory(history, text, limit = 15) {
-    const queue = coerceTextArray(history);
-    const t = trimmedText(text);
+  // Keeps only origin + path: query strings and fragments often carry tokens.
+  function sanitizeSourceUrl(url) {
+    try {
+      const u = new URL(trimmedText(url));
+      if (u.protocol === "about:" || u.protocol === "data:" || u.protocol === "blob:") return "";
+      return `${u.origin === "null" ? `${u.protocol}//` : u.origin}${u.pathname}`;
+    } catch {
+      return "";
+    }
+  }
+
+  function getSourceHost(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return "";
+    }
+  }
+
+  // Capture metadata with unknown/invalid fields dropped.
+  function normalizeCaptureMeta(value) {
+    const v = value && typeof value === "object" ? value : {};
+    const meta = {};
+    const capturedAt = Number(v.capturedAt);
+    if (Number.isFinite(capturedAt) && capturedAt > 0) meta.capturedAt = capturedAt;
+    const sourceUrl = sanitizeSourceUrl(v.sourceUrl);
+    if (sourceUrl) meta.sourceUrl = sourceUrl;
+    const sourceTitle = trimmedText(v.sourceTitle).slice(0, SOURCE_TITLE_MAX_LENGTH);
+    if (sourceTitle) meta.sourceTitle = sourceTitle;
+    if (CAPTURE_METHODS.includes(v.method)) meta.method = v.method;
+    return meta;
+  }
+
+  /**
+   * History entries are stored as objects (older versions stored bare strings):
+   *   { text, pinned, label, capturedAt?, sourceUrl?, sourceTitle?, method? }
+   * capturedAt is epoch ms; method is one of CAPTURE_METHODS.
+   * Returns null for values that can't be turned into an entry.
+   */
+  function normalizeHistoryEntry(value) {
+    if (typeof value === "string") {
+      const text = trimmedText(value);
+      return text ? { text, pinned: false, label: "" } : null;
+    }
+    if (!value || typeof value !== "object") return null;
+
+    const text = trimmedText(value.text);
+    if (!text) return null;
+    return {
+      text,
+      pinned: value.pinned === true,
+      label: trimmedText(value.label),
+      ...normalizeCaptureMeta(value),
+    };
+  }
+
+  // Migrates/cleans a stored history value (string[] or entry[]) into unique entries.
+  // When a text appears twice the later entry wins, but a pin on either one is kept.
+  function normalizeHistory(value) {
+    if (!Array.isArray(value)) return [];
+    const byText = new Map();
+    for (const item of value) {
+      const entry = normalizeHistoryEntry(item);
+      if (!entry) continue;
+      const previous = byText.get(entry.text);
+      if (previous) {
+        byText.delete(entry.text);
+        entry.pinned = entry.pinned || previous.pinned;
+        entry.label = entry.label || previous.label;
+      }
+      byText.set(entry.text, entry);
+    }
+    return Array.from(byText.values());
+  }
+
+  function historyTexts(history) {
+    return normalizeHistory(history).map((entry) => entry.text);
+  }
+
+  // Drops the oldest unpinned entries until at most `limit` unpinned remain. Pinned entries
+  // never count against the limit and are never evicted.
+  function enforceHistoryLimit(entries, limit) {
+    let excess = entries.filter((e) => !e.pinned).length - limit;
+    if (excess <= 0) return entries;
+    return entries.filter((e) => {
+      if (e.pinned || excess <= 0) return true;
+      excess--;
+      return false;
+    });
+  }
+
+  /**
+   * Adds or bumps an item to the newest position. Newest items are stored at the end of the array.
+   * `item` is a string or { text, ...captureMeta }; a re-added item keeps its pin, label and any
+   * metadata the new capture doesn't provide, and takes the new capture's time/source/method.
+   *
+   * @param {Array<object|string>} history
+   * @param {string|object} item
+   * @param {number} [limit=15] - Max unpinned entries
+   * @param {number} [now=Date.now()] - capturedAt when the item doesn't carry one
+   */
+  function updateHistory(history, item, limit = DEFAULT_LIMITS.historyLimit, now = Date.now()) {
+    const queue = normalizeHistory(history);
+    const incoming = typeof item === "object" && item !== null ? item : { text: item };
+    const t = trimmedText(incoming.text);
     if (!t) return queue;
 
-    const filtered = queue.filter((h) => h !== t);
-    filtered.push(t);
+    const meta = { capturedAt: now, ...normalizeCaptureMeta(incoming) };
+    const existing = queue.find((h) => h.text === t);
+    const filtered = queue.filter((h) => h.text !== t);
+    filtered.push({ ...(existing ?? { text: t, pinned: false, label: "" }), ...meta });
+
+    return enforceHistoryLimit(filtered, limit);
+  }
+
+  // Pins or unpins `text` (adding it as the newest entry if missing). Unpinning clears the label.
+  function setHistoryPinned(history, text, pinned, limit = DEFAULT_LIMITS.historyLimit) {
+    const t = trimmedText(text);
+    const entries = normalizeHistory(history);
+    if (!t) return entries;
+
+    const withItem = entries.some((e) => e.text === t) ? entries : updateHistory(entries, t, limit);
+    const updated = withItem.map((e) =>
+      e.text === t ? { ...e, pinned: pinned === true, label: pinned === true ? e.label : "" } : e
+    );
+    return enforceHistoryLimit(updated, limit);
+  }
+
+  function setHistoryLabel(history, text, label) {
+    const t = trimmedText(text);
+    return normalizeHistory(history).map((e) =>
+      e.text === t ? { ...e, label: trimmedText(label) } : e
+    );
+  }
+
+  function sameHistoryEntry(a, b) {
+    return JSON.stringify(normalizeHistoryEntry(a)) === JSON.stringify(normalizeHistoryEntry(b));
+  }
+
+  function sameHistory(a, b) {
+    return JSON.stringify(normalizeHistory(a)) === JSON.stringify(normalizeHistory(b));
+  }
+
+  /**
+   * Three-way merge of history for a context that keeps its own copy: `base` is what it last
+   * read from or wrote to storage, `local` its current copy and `remote` what storage holds now.
+   * Local additions and edits are kept, as are remote ones; an item removed on one side and left
+   * unchanged on the other is removed. When both sides changed an item, the later capture wins
+   * (ties go to the local edit) but a pin or label set on either side is kept. Entries are
+   * ordered by capture time, oldest first.
+   */
+  function mergeHistory(base, local, remote, limit = DEFAULT_LIMITS.historyLimit) {
+    const baseByText = new Map(normalizeHistory(base).map((e) => [e.text, e]));
+    const localByText = new Map(normalizeHistory(local).map((e) => [e.text, e]));
+    const remoteEntries = normalizeHistory(remote);
+    const remoteTexts = new Set(remoteEntries.map((e) => e.text));
+    const merged = [];
 
-    if (filtered.length > limit) {
-      filtered.splice(0, filtered.length - limit);
+    for (const entry of remoteEntries) {
+      const before = baseByText.get(entry.text);
+      const mine = localByText.get(entry.text);
+      if (!mine) {
+        // Deleted here: keep it only if the other side changed it since.
+        if (!before || !sameHistoryEntry(before, entry)) merged.push(entry);
+      } else if (before && sameHistoryEntry(before, mine)) {
+        merged.push(entry);
+      } else if (before && sameHistoryEntry(before, entry)) {
+        merged.push(mine);
+      } else {
+        // Both changed: the pin and label from the side that changed them, the rest from the later capture.
+        const later = (entry.capturedAt ?? 0) > (mine.capturedAt ?? 0) ? entry : mine;
+        const pinKept = before && mine.pinned === before.pinned && mine.label === before.label;
+        const pinSide = pinKept ? entry : mine;
+        merged.push({ ...later, pinned: pinSide.pinned, label: pinSide.label });
+      }
+    }
+    for (const mine of localByText.values()) {
+      if (!remoteTexts.has(mine.text) && !baseByText.has(mine.text)) merged.push(mine);
     }
-    return filtered;
+
+    const ordered = merged
+      .map((entry, i) => ({ entry, i }))
+      .sort((a, b) => (a.entry.capturedAt ?? 0) - (b.entry.capturedAt ?? 0) || a.i - b.i)
+      .map(({ entry }) => entry);
+    return enforceHistoryLimit(ordered, limit);
   }
 
-  // Serializes async tasks in a single JS context to avoid lost updates.
-  function createSerialQueue() {
-    let chain = Promise.resolve();
-    return function enqueue(task) {
-      const run = () => Promise.resolve().then(task);
-      chain = chain.then(run, run);
-      return chain;
+  // Display order: pinned entries first, then everything else; newest first within each group.
+  function sortHistoryForDisplay(history) {
+    const newestFirst = normalizeHistory(history).reverse();
+    return [...newestFirst.filter((e) => e.pinned), ...newestFirst.filter((e) => !e.pinned)];
+  }
+
+  /**
+   * Fuzzy subsequence match: every query character must appear in order in `target`.
+   * Consecutive matches and matches at word starts score higher. Case-insensitive.
+   *
+   * @returns {number} score (higher is better), or -1 when there is no match
+   */
+  function fuzzyScore(query, target) {
+    const q = trimmedText(query).toLowerCase();
+    const t = (target ?? "").toString().toLowerCase();
+    if (!q) return 0;
+
+    let score = 0;
+    let ti = 0;
+    let previous = -2;
+    for (const ch of q) {
+      if (ch === " ") continue;
+      const found = t.indexOf(ch, ti);
+      if (found === -1) return -1;
+
+      score += 1;
+      if (found === previous + 1) score += 2;
+      if (found === 0 || /[\s\-_/.:@]/.test(t[found - 1])) score += 3;
+      previous = found;
+      ti = found + 1;
+    }
+    // The greedy scan above can miss a contiguous occurrence further along; reward it directly.
+    const substringAt = t.indexOf(q);
+    if (substringAt !== -1) {
+      score += q.length * 2;
+      if (substringAt === 0 || /[\s\-_/.:@]/.test(t[substringAt - 1])) score += 3;
+    }
+    // Prefer tighter matches in shorter text.
+    return score - t.length / 1000;
+  }
+
+  /**
+   * Filters entries by fuzzy match on text, label and source title, best matches first.
+   * An empty query keeps the display order (pinned first, then newest first).
+   *
+   * @param {object} [filters]
+   * @param {string} [filters.method] - Only entries captured this way
+   * @param {string} [filters.host] - Only entries whose source URL is on this host
+   */
+  function filterHistory(history, query, filters) {
+    const { method = "", host = "" } = filters || {};
+    const sorted = sortHistoryForDisplay(history).filter(
+      (e) => (!method || e.method === method) && (!host || getSourceHost(e.sourceUrl) === host)
+    );
+    if (!trimmedText(query)) return sorted;
+
+    return sorted
+      .map((entry, order) => ({
+        entry,
+        order,
+        score: Math.max(
+          fuzzyScore(query, entry.text),
+          fuzzyScore(query, entry.label),
+          fuzzyScore(query, entry.sourceTitle)
+        ),
+      }))
+      .filter((m) => m.score >= 0)
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .map((m) => m.entry);
+  }
+
+  function removeHistoryItems(history, texts) {
+    const drop = new Set((texts || []).map(trimmedText));
+    return normalizeHistory(history).filter((e) => !drop.has(e.text));
+  }
+
+  /**
+   * History and batch size limits, stored as one { historyLimit, batchLimit } setting that
+   * every context reads. historyLimit counts unpinned entries only (see enforceHistoryLimit).
+   */
+  const DEFAULT_LIMITS = Object.freeze({ historyLimit: 15, batchLimit: 20 });
+  const LIMIT_RANGES = Object.freeze({
+    historyLimit: Object.freeze({ min: 1, max: 500 }),
+    batchLimit: Object.freeze({ min: 1, max: 1000 }),
+  });
+
+  function normalizeLimits(raw) {
+    const v = raw && typeof raw === "object" ? raw : {};
+    const limits = {};
+    for (const [key, { min, max }] of Object.entries(LIMIT_RANGES)) {
+      const n = Math.round(Number(v[key]));
+      limits[key] = Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : DEFAULT_LIMITS[key];
+    }
+    return limits;
+  }
+
+  // Returns { ok, errors, limits } for settings-form input.
+  function validateLimits(raw) {
+    const v = raw && typeof raw === "object" ? raw : {};
+    const names = { historyLimit: "History size", batchLimit: "Batch size" };
+    const errors = [];
+    for (const [key, { min, max }] of Object.entries(LIMIT_RANGES)) {
+      const n = Number(v[key]);
+      if (!Number.isInteger(n) || n < min || n > max) {
+        errors.push(`${names[key]} must be a whole number from ${min} to ${max}.`);
+      }
+    }
+    return { ok: errors.length === 0, errors, limits: normalizeLimits(v) };
+  }
+
+  // Applies a (possibly lowered) history limit to stored history.
+  function trimHistoryToLimit(history, limit) {
+    return enforceHistoryLimit(normalizeHistory(history), limit);
+  }
+
+  /**
+   * Retention policy: { period, keepPinned }. Entries captured longer than the period ago are
+   * purged; pinned entries are exempt when keepPinned is set.
+   */
+  const RETENTION_PERIODS = Object.freeze({
+    off: 0,
+    "1h": 60 * 60 * 1000,
+    "1d": 24 * 60 * 60 * 1000,
+    "7d": 7 * 24 * 60 * 60 * 1000,
+    "30d": 30 * 24 * 60 * 60 * 1000,
+  });
+  const DEFAULT_RETENTION = Object.freeze({ period: "off", keepPinned: true });
+
+  function normalizeRetention(raw) {
+    const v = raw && typeof raw === "object" ? raw : {};
+    return {
+      period: Object.hasOwn(RETENTION_PERIODS, v.period) ? v.period : DEFAULT_RETENTION.period,
+      keepPinned: typeof v.keepPinned === "boolean" ? v.keepPinned : DEFAULT_RETENTION.keepPinned,
     };
   }
 
-  // Best-effort extraction of the copied text without relying on navigator.clipboard.
-  function extractCopiedTextFromCopyEvent(e, doc) {
-    const d = doc || (typeof document !== "undefined" ? document : null);
+  /**
+   * Drops entries older than the retention period. Entries without a capture time (saved by
+   * older versions) are stamped with `now`, so they expire one period from the first purge.
+   * @returns {{ history: object[], removed: number, changed: boolean }}
+   *   `changed` is true when anything was removed or stamped (i.e. storage needs a write).
+   */
+  function purgeExpiredHistory(history, retention, now = Date.now()) {
+    const { period, keepPinned } = normalizeRetention(retention);
+    const entries = normalizeHistory(history);
+    const maxAge = RETENTION_PERIODS[period];
+    if (!maxAge) return { history: entries, removed: 0, changed: false };
 
-    // 1) Sometimes available on the event (often empty in Chrome, but cheap to try).
-    try {
-      const fromEvent = e?.clipboardData?.getData?.("text/plain");
-      const t = trimmedText(fromEvent);
-      if (t) return t;
-    } catch {
-      // ignore
+    let stamped = 0;
+    const kept = entries
+      .map((e) => {
+        if (e.capturedAt) return e;
+        stamped++;
+        return { ...e, capturedAt: now };
+      })
+      .filter((e) => (keepPinned && e.pinned) || now - e.capturedAt < maxAge);
+    const removed = entries.length - kept.length;
+    return { history: kept, removed, changed: removed > 0 || stamped > 0 };
+  }
+
+  // "Clear history now": removes everything, or everything but pinned entries.
+  function clearHistory(history, keepPinned) {
+    return keepPinned ? normalizeHistory(history).filter((e) => e.pinned) : [];
+  }
+
+  /**
+   * History mutations as data, so every context can send them to the service worker, which
+   * applies them one at a time (see background.js). Operations name entries by text, so one
+   * built against an older copy of history still means the same thing when replayed:
+   *   { kind: "add", entries: [{ text, ...captureMeta }], target? }   (re)captures, newest last
+   *   { kind: "remove", texts: [...] }
+   *   { kind: "pin", text, pinned, label? }                  adds the text first if missing
+   *   { kind: "label", text, label }
+   *   { kind: "clear", keepPinned }
+   *   { kind: "move", text, before }                         before another text, or null for newest
+   * An add's target is one of HISTORY_ADD_TARGETS: "session" keeps sensitive entries in the
+   * session-only list, "pending" holds captures made while history is locked (the worker adds
+   * them to history instead if it has been unlocked meanwhile).
+   */
+  const HISTORY_OPERATION_KINDS = Object.freeze(["add", "remove", "pin", "label", "clear", "move"]);
+  const HISTORY_ADD_TARGETS = Object.freeze(["history", "session", "pending"]);
+
+  // Returns an error message for a malformed operation, or "" when it can be applied.
+  function validateHistoryOperation(op) {
+    if (!op || typeof op !== "object") return "Missing history operation.";
+    if (!HISTORY_OPERATION_KINDS.includes(op.kind)) return `Unknown history operation "${op.kind}".`;
+    if (op.kind === "add" && !Array.isArray(op.entries)) return "add needs an entries array.";
+    if (op.kind === "add" && op.target !== undefined && !HISTORY_ADD_TARGETS.includes(op.target)) {
+      return `Unknown add target "${op.target}".`;
     }
+    if (op.kind === "remove" && !Array.isArray(op.texts)) return "remove needs a texts array.";
+    if (["pin", "label", "move"].includes(op.kind) && !trimmedText(op.text)) return `${op.kind} needs a text.`;
+    if (op.kind === "pin" && typeof op.pinned !== "boolean") return "pin needs pinned: true or false.";
+    return "";
+  }
 
-    if (!d) return "";
+  function moveHistoryItem(history, text, before) {
+    const entries = normalizeHistory(history);
+    const t = trimmedText(text);
+    const moving = entries.find((e) => e.text === t);
+    if (!moving) return entries;
+    const rest = entries.filter((e) => e.text !== t);
+    const at = before == null ? -1 : rest.findIndex((e) => e.text === trimmedText(before));
+    if (at < 0) return [...rest, moving];
+    return [...rest.slice(0, at), moving, ...rest.slice(at)];
+  }
 
-    // 2) If user copied from an input/textarea, selectionStart/End is reliable.
-    const fromTextControl = (el) => {
-      if (!el) return "";
-      const tag = (el.tagName || "").toUpperCase();
-      const isTextArea = tag === "TEXTAREA";
-      const isInput = tag === "INPUT";
-      if (!isTextArea && !isInput) return "";
+  /**
+   * Applies one operation from HISTORY_OPERATION_KINDS. Throws on a malformed operation.
+   *
+   * @param {object} [options] - { limit, now } for added entries without a capture time
+   */
+  function applyHistoryOperation(history, op, { limit = DEFAULT_LIMITS.historyLimit, now = Date.now() } = {}) {
+    const error = validateHistoryOperation(op);
+    if (error) throw new Error(error);
+    switch (op.kind) {
+      case "add":
+        return op.entries.reduce((list, entry) => updateHistory(list, entry, limit, now), normalizeHistory(history));
+      case "remove":
+        return removeHistoryItems(history, op.texts);
+      case "pin": {
+        const pinned = setHistoryPinned(history, op.text, op.pinned, limit);
+        return op.pinned && op.label !== undefined ? setHistoryLabel(pinned, op.text, op.label) : pinned;
+      }
+      case "label":
+        return setHistoryLabel(history, op.text, op.label);
+      case "clear":
+        return clearHistory(history, op.keepPinned === true);
+      case "move":
+        return moveHistoryItem(history, op.text, op.before);
+    }
+    return normalizeHistory(history);
+  }
 
-      const value = typeof el.value === "string" ? el.value : "";
-      const start = el.selectionStart;
-      const end = el.selectionEnd;
-      if (typeof start !== "number" || typeof end !== "number") return "";
-      if (start === end) return "";
-      return value.slice(start, end);
+  const HISTORY_UPDATE_ATTEMPTS = 3;
+
+  /**
+   * Client side of the service worker's history API. `send(message)` resolves to the worker's
+   * response. Each update carries the revision this client last saw; when another writer got
+   * there first the worker answers { ok: false, stale: true, revision, history } and the update
+   * is retried against the new revision (after `onStale(response)`, e.g. to merge the newer
+   * history). Resolves to the last response.
+   */
+  function createHistoryClient(send, { onStale } = {}) {
+    const client = {
+      revision: undefined,
+      // Records a revision seen elsewhere (a storage change event, an initial read).
+      observe(revision) {
+        const n = Number(revision);
+        if (Number.isFinite(n) && (client.revision === undefined || n > client.revision)) client.revision = n;
+      },
+      async update(op, extra = {}) {
+        let response = null;
+        for (let attempt = 0; attempt < HISTORY_UPDATE_ATTEMPTS; attempt++) {
+          response = await send({ type: "HISTORY_UPDATE", op, baseRevision: client.revision, ...extra });
+          if (response?.revision !== undefined) client.revision = response.revision;
+          if (!response?.stale) return response;
+          await onStale?.(response);
+        }
+        return response;
+      },
     };
+    return client;
+  }
 
-    const active = d.activeElement;
-    const tFromActive = trimmedText(fromTextControl(active));
-    if (tFromActive) return tFromActive;
+  /**
+   * Message protocol between extension contexts. Requests are { type, version, ...payload };
+   * responses are { ok: true, ...result } or { ok: false, error, code }. Messages without a
+   * version are treated as MESSAGE_PROTOCOL_MIN_VERSION (they predate the field).
+   */
+  const MESSAGE_PROTOCOL_VERSION = 1;
+  const MESSAGE_PROTOCOL_MIN_VERSION = 1;
+  const MESSAGE_ERROR_CODES = Object.freeze({
+    badMessage: "bad_message",
+    unknownType: "unknown_type",
+    unsupportedVersion: "unsupported_version",
+    forbidden: "forbidden",
+    invalidPayload: "invalid_payload",
+    failed: "handler_failed",
+    noResponse: "no_response",
+  });
+  const MESSAGE_FIELD_TYPES = ["string", "number", "boolean", "object", "array"];
 
-    const tFromTarget = trimmedText(fromTextControl(e?.target));
-    if (tFromTarget) return tFromTarget;
+  function messageError(code, error, extra = {}) {
+    return { ok: false, error, code, ...extra };
+  }
 
-    // 3) Generic selection text (works for normal page text).
+  function messageFieldType(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    return typeof value;
+  }
+
+  /**
+   * Checks a message against `fields`, e.g. { text: "string", sourceUrl: "string?" }.
+   * A trailing "?" makes the field optional (missing or null). Returns an error message,
+   * or "" when the message fits.
+   */
+  function validateMessageFields(message, fields = {}) {
+    for (const [name, spec] of Object.entries(fields)) {
+      const optional = spec.endsWith("?");
+      const type = optional ? spec.slice(0, -1) : spec;
+      if (!MESSAGE_FIELD_TYPES.includes(type)) throw new Error(`Unknown field type "${spec}".`);
+      const value = message?.[name];
+      if (value === undefined || value === null) {
+        if (optional) continue;
+        return `Missing "${name}".`;
+      }
+      const actual = messageFieldType(value);
+      if (actual !== type) return `"${name}" should be ${type === "array" ? "an" : "a"} ${type}, not ${actual}.`;
+    }
+    return "";
+  }
+
+  /**
+   * Who sent a runtime message: "extension" for our own pages and the service worker,
+   * "content" for our content scripts in web pages, "" for anything else (other extensions).
+   * `self` is { id, baseUrl } from chrome.runtime.id / chrome.runtime.getURL("").
+   */
+  function classifyMessageSender(sender, self) {
+    if (!sender || !self?.id || sender.id !== self.id) return "";
+    const url = trimmedText(sender.url);
+    if (self.baseUrl && url.startsWith(self.baseUrl)) return "extension";
+    if (sender.tab) return "content";
+    // Our service worker messaging a tab: no tab and no page URL of its own.
+    return url ? "" : "extension";
+  }
+
+  /**
+   * Dispatches messages to named handlers:
+   *   router.on(type, { senders: ["extension", "content"], fields, validate(message), handle(message, sender) })
+   * A handler's plain result is sent as { ok: true, ...result }; a result with its own `ok` is
+   * sent as-is, and a thrown error becomes { ok: false, code: "handler_failed" }.
+   * `classifySender(sender)` returns a sender kind (see classifyMessageSender); messages from
+   * kinds a handler doesn't list are refused. A request outside [minVersion, version] gets
+   * code "unsupported_version" with the range, so the client can retry at a version both know.
+   * `router.listener` plugs into chrome.runtime.onMessage; it leaves types it doesn't know to
+   * other listeners.
+   */
+  function createMessageRouter({
+    version = MESSAGE_PROTOCOL_VERSION,
+    minVersion = MESSAGE_PROTOCOL_MIN_VERSION,
+    classifySender = () => "",
+    onError,
+  } = {}) {
+    const routes = new Map();
+
+    async function dispatch(message, sender) {
+      const type = message?.type;
+      if (typeof type !== "string" || !type) {
+        return messageError(MESSAGE_ERROR_CODES.badMessage, "Missing message type.");
+      }
+      const route = routes.get(type);
+      if (!route) return messageError(MESSAGE_ERROR_CODES.unknownType, `Unknown message type "${type}".`);
+
+      const requested = message.version ?? MESSAGE_PROTOCOL_MIN_VERSION;
+      if (!Number.isInteger(requested) || requested < minVersion || requested > version) {
+        return messageError(
+          MESSAGE_ERROR_CODES.unsupportedVersion,
+          `Protocol version ${requested} isn't supported (expected ${minVersion}–${version}).`,
+          { supportedVersions: { min: minVersion, max: version } }
+        );
+      }
+      const kind = classifySender(sender);
+      if (!kind || !route.senders.includes(kind)) {
+        return messageError(MESSAGE_ERROR_CODES.forbidden, `${type} isn't accepted from this sender.`);
+      }
+      const invalid = validateMessageFields(message, route.fields) || (route.validate?.(message) ?? "");
+      if (invalid) return messageError(MESSAGE_ERROR_CODES.invalidPayload, invalid);
+
+      try {
+        const result = await route.handle(message, sender);
+        if (result && typeof result === "object" && typeof result.ok === "boolean") return result;
+        return { ok: true, ...(result && typeof result === "object" ? result : {}) };
+      } catch (err) {
+        onError?.(err, message);
+        return messageError(MESSAGE_ERROR_CODES.failed, err?.message || `${type} failed.`);
+      }
+    }
+
+    const router = {
+      version,
+      minVersion,
+      on(type, { senders = ["extension"], fields = {}, validate, handle }) {
+        if (typeof handle !== "function") throw new Error(`Handler for ${type} is missing.`);
+        routes.set(type, { senders, fields, validate, handle });
+        return router;
+      },
+      handles(type) {
+        return routes.has(type);
+      },
+      dispatch,
+      listener(message, sender, sendResponse) {
+        if (!routes.has(message?.type)) return false;
+        void dispatch(message, sender).then(sendResponse);
+        return true;
+      },
+    };
+    return router;
+  }
+
+  /**
+   * Sending side of the protocol. `transport(message)` delivers a message and resolves to the
+   * response (chrome.runtime.sendMessage, or a tabs.sendMessage wrapper). Every message is
+   * stamped with the client's version; if the receiver answers "unsupported_version" the client
+   * settles on the highest version both sides support and resends once. A rejected or empty
+   * delivery resolves to { ok: false, code: "no_response" } rather than throwing.
+   */
+  function createMessageClient(
+    transport,
+    { version = MESSAGE_PROTOCOL_VERSION, minVersion = MESSAGE_PROTOCOL_MIN_VERSION } = {}
+  ) {
+    const client = {
+      version,
+      async send(message) {
+        let response = await deliver(message);
+        const range = response?.code === MESSAGE_ERROR_CODES.unsupportedVersion ? response.supportedVersions : null;
+        const agreed = Math.min(version, Number(range?.max));
+        if (range && agreed >= Math.max(minVersion, Number(range.min)) && agreed !== client.version) {
+          client.version = agreed;
+          response = await deliver(message);
+        }
+        return response;
+      },
+    };
+
+    async function deliver(message) {
+      let response;
+      try {
+        response = await transport({ ...message, version: client.version });
+      } catch (err) {
+        return messageError(MESSAGE_ERROR_CODES.noResponse, err?.message || "No response.");
+      }
+      if (!response || typeof response !== "object") {
+        return messageError(MESSAGE_ERROR_CODES.noResponse, "No response.");
+      }
+      return response;
+    }
+
+    return client;
+  }
+
+  /**
+   * Per-site capture rules:
+   *   { defaultHistory, defaultToast, rules: [{ pattern, matchType, history, toast }] }
+   * matchType "host" matches the hostname: "example.com" also covers its subdomains and
+   * "*" is a wildcard ("*.corp.example", "bank*.com"). matchType "regex" is tested against
+   * the full URL. For each of history/toast a rule says "allow", "deny" or "inherit"; the
+   * first matching rule that doesn't inherit decides, otherwise the default applies.
+   */
+  const CAPTURE_RULE_MATCH_TYPES = ["host", "regex"];
+  const CAPTURE_RULE_ACTIONS = ["allow", "deny", "inherit"];
+  const DEFAULT_CAPTURE_RULES = Object.freeze({
+    defaultHistory: "allow",
+    defaultToast: "allow",
+    rules: Object.freeze([]),
+  });
+
+  function normalizeHostPattern(pattern) {
+    return trimmedText(pattern).toLowerCase().replace(/\.+$/, "");
+  }
+
+  function compileRuleRegex(pattern) {
     try {
-      const sel = d.getSelection?.();
-      const t = trimmedText(sel?.toString?.());
-      if (t) return t;
+      return new RegExp(pattern, "i");
     } catch {
-      // ignore
+      return null;
+    }
+  }
+
+  // Returns { ok, errors, rule } with the rule normalized.
+  function validateCaptureRule(raw) {
+    const v = raw && typeof raw === "object" ? raw : {};
+    const matchType = CAPTURE_RULE_MATCH_TYPES.includes(v.matchType) ? v.matchType : "host";
+    const pattern = matchType === "host" ? normalizeHostPattern(v.pattern) : trimmedText(v.pattern);
+    const rule = {
+      pattern,
+      matchType,
+      history: CAPTURE_RULE_ACTIONS.includes(v.history) ? v.history : "inherit",
+      toast: CAPTURE_RULE_ACTIONS.includes(v.toast) ? v.toast : "inherit",
+    };
+
+    const errors = [];
+    if (!pattern) {
+      errors.push("Pattern is required.");
+    } else if (matchType === "host" && !/^[a-z0-9*.-]+$/.test(pattern)) {
+      errors.push("Host patterns may only contain letters, digits, '.', '-' and '*'.");
+    } else if (matchType === "regex" && !compileRuleRegex(pattern)) {
+      errors.push("Pattern is not a valid regular expression.");
     }
+    if (rule.history === "inherit" && rule.toast === "inherit") {
+      errors.push("Rule must allow or deny history or the toast.");
+    }
+    return { ok: errors.length === 0, errors, rule };
+  }
 
-    return "";
+  function normalizeCaptureRules(raw) {
+    const v = raw && typeof raw === "object" ? raw : {};
+    const rules = (Array.isArray(v.rules) ? v.rules : [])
+      .map(validateCaptureRule)
+      .filter((result) => result.ok)
+      .map((result) => result.rule);
+    return {
+      defaultHistory: v.defaultHistory === "deny" ? "deny" : "allow",
+      defaultToast: v.defaultToast === "deny" ? "deny" : "allow",
+      rules,
+    };
+  }
+
+  function hostPatternMatches(pattern, host) {
+    const p = normalizeHostPattern(pattern);
+    const h = normalizeHostPattern(host);
+    if (!p || !h) return false;
+    if (!p.includes("*")) return h === p || h.endsWith(`.${p}`);
+    const source = p
+      .split("*")
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("[a-z0-9.-]*");
+    return new RegExp(`^${source}$`).test(h);
+  }
+
+  function captureRuleMatches(rule, url) {
+    const u = trimmedText(url);
+    if (!u) return false;
+    if (rule.matchType === "regex") return compileRuleRegex(rule.pattern)?.test(u) ?? false;
+    return hostPatternMatches(rule.pattern, getSourceHost(u));
+  }
+
+  /**
+   * Decides whether a copy may be recorded to history and whether the toast may show.
+   * `urls` is the page URL, or a list of them (e.g. a frame and the pages embedding it);
+   * a capability is denied if it is denied for any of them.
+   * @returns {{ history: boolean, toast: boolean }}
+   */
+  function resolveCapturePolicy(config, urls) {
+    const { defaultHistory, defaultToast, rules } = normalizeCaptureRules(config);
+    const list = (Array.isArray(urls) ? urls : [urls]).map(trimmedText).filter(Boolean);
+    const decide = (key, fallback, url) => {
+      const rule = rules.find((r) => r[key] !== "inherit" && captureRuleMatches(r, url));
+      return (rule ? rule[key] : fallback) === "allow";
+    };
+    if (!list.length) {
+      return { history: defaultHistory === "allow", toast: defaultToast === "allow" };
+    }
+    return {
+      history: list.every((url) => decide("history", defaultHistory, url)),
+      toast: list.every((url) => decide("toast", defaultToast, url)),
+    };
+  }
+
+  /**
+   * Which clipboard events on pages are captured: { cut, paste }. Copies are always captured
+   * (subject to the capture rules); cut and paste are opt-in.
+   */
+  const CAPTURE_EVENTS = ["copy", "cut", "paste"];
+  const DEFAULT_CAPTURE_EVENTS = Object.freeze({ cut: false, paste: false });
+
+  function normalizeCaptureEvents(raw) {
+    const v = raw && typeof raw === "object" ? raw : {};
+    return {
+      cut: typeof v.cut === "boolean" ? v.cut : DEFAULT_CAPTURE_EVENTS.cut,
+      paste: typeof v.paste === "boolean" ? v.paste : DEFAULT_CAPTURE_EVENTS.paste,
+    };
+  }
+
+  function isCaptureEventEnabled(settings, type) {
+    if (type === "copy") return true;
+    return CAPTURE_EVENTS.includes(type) && normalizeCaptureEvents(settings)[type] === true;
+  }
+
+  /**
+   * Sensitive-content detection. Captured text that looks like a secret is skipped, stored
+   * masked, or kept only in session memory (chrome.storage.session), per the user's setting.
+   */
+  const SENSITIVE_HANDLING_MODES = ["skip", "mask", "session"];
+  const DEFAULT_SENSITIVE_HANDLING = "skip";
+  const SENSITIVE_KIND_LABELS = Object.freeze({
+    "private-key": "Private key",
+    jwt: "Access token (JWT)",
+    "api-key": "API key",
+    card: "Card number",
+    password: "Password",
+    otp: "One-time code",
+    secret: "Secret token",
+  });
+  const MASK = "••••";
+
+  // Shannon entropy in bits per character.
+  function shannonEntropy(text) {
+    const s = (text ?? "").toString();
+    if (!s) return 0;
+    const counts = new Map();
+    for (const ch of s) counts.set(ch, (counts.get(ch) || 0) + 1);
+    let bits = 0;
+    for (const n of counts.values()) {
+      const p = n / s.length;
+      bits -= p * Math.log2(p);
+    }
+    return bits;
+  }
+
+  function luhnValid(digits) {
+    const d = (digits ?? "").toString();
+    if (!/^\d+$/.test(d)) return false;
+    let sum = 0;
+    for (let i = 0; i < d.length; i += 1) {
+      let n = Number(d[d.length - 1 - i]);
+      if (i % 2 === 1) {
+        n *= 2;
+        if (n > 9) n -= 9;
+      }
+      sum += n;
+    }
+    return sum % 10 === 0;
+  }
+
+  const API_KEY_RE =
+    /\b(?:(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}|sk-[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{40,}|glpat-[A-Za-z0-9_-]{20,}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35})/g;
+  const PASSWORD_RE =
+    /\b(?:password|passwd|pwd|passcode|secret|api[_-]?key|access[_-]?token|auth[_-]?token|token)\s*[:=]\s*["']?([^\s"']{4,})/gi;
+
+  const OTP_CONTEXT_RE =
+    /\b(?:code|otp|one[- ]time|verification|verify|passcode|2fa|two[- ]factor|security code|login code)\b/i;
+  const OTP_CONTEXT_MAX_LENGTH = 200;
+
+  // Each detector returns [{ start, end }] spans of `text` holding the secret itself.
+  const SENSITIVE_DETECTORS = [
+    ["private-key", (text) => {
+      const spans = [];
+      const re = /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g;
+      for (const m of text.matchAll(re)) spans.push({ start: m.index, end: m.index + m[0].length });
+      return spans;
+    }],
+    ["jwt", (text) => {
+      const spans = [];
+      const re = /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g;
+      for (const m of text.matchAll(re)) spans.push({ start: m.index, end: m.index + m[0].length });
+      return spans;
+    }],
+    ["api-key", (text) => {
+      const spans = [];
+      for (const m of text.matchAll(API_KEY_RE)) {
+        // Placeholders like "sk-xxxxxxxxxxxxxxxxxxxxxxxx" have a recognisable prefix but no entropy.
+        if (shannonEntropy(m[0]) < 3) continue;
+        spans.push({ start: m.index, end: m.index + m[0].length });
+      }
+      return spans;
+    }],
+    ["card", (text) => {
+      const spans = [];
+      for (const m of text.matchAll(/(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g)) {
+        const digits = m[0].replace(/\D/g, "");
+        if (/^(\d)\1+$/.test(digits) || !luhnValid(digits)) continue;
+        spans.push({ start: m.index, end: m.index + m[0].length });
+      }
+      return spans;
+    }],
+    ["password", (text) => {
+      const spans = [];
+      for (const m of text.matchAll(PASSWORD_RE)) {
+        const start = m.index + m[0].length - m[1].length;
+        spans.push({ start, end: start + m[1].length });
+      }
+      return spans;
+    }],
+    ["otp", (text) => {
+      // Only short messages that say they hold a code: a bare number is as likely a date, order
+      // number or postcode.
+      if (text.length > OTP_CONTEXT_MAX_LENGTH || !OTP_CONTEXT_RE.test(text)) return [];
+      const spans = [];
+      for (const m of text.matchAll(/(?<![\d-])(?:\d{3}[ -]?\d{3}|\d{6,8})(?![\d-])/g)) {
+        spans.push({ start: m.index, end: m.index + m[0].length });
+      }
+      return spans;
+    }],
+    ["secret", (text) => {
+      // A lone high-entropy token mixing lower case, upper case and digits (hex hashes and
+      // UUIDs don't qualify).
+      const t = text.trim();
+      if (!/^[A-Za-z0-9+/=_-]{24,}$/.test(t)) return [];
+      if (!/[a-z]/.test(t) || !/[A-Z]/.test(t) || !/\d/.test(t)) return [];
+      if (shannonEntropy(t) < 4) return [];
+      const start = text.indexOf(t);
+      return [{ start, end: start + t.length }];
+    }],
+  ];
+
+  /**
+   * Finds secrets in `text`.
+   * @returns {Array<{ kind: string, label: string, start: number, end: number }>}
+   *   non-overlapping matches in text order (earlier detectors win overlaps).
+   */
+  function findSensitiveMatches(text) {
+    const t = (text ?? "").toString();
+    if (!t.trim()) return [];
+    const matches = [];
+    for (const [kind, detect] of SENSITIVE_DETECTORS) {
+      for (const span of detect(t)) {
+        if (matches.some((m) => span.start < m.end && m.start < span.end)) continue;
+        matches.push({ kind, label: SENSITIVE_KIND_LABELS[kind], ...span });
+      }
+    }
+    return matches.sort((a, b) => a.start - b.start);
+  }
+
+  // The first (most specific) match, or null when the text looks safe to store.
+  function classifySensitiveText(text) {
+    const matches = findSensitiveMatches(text);
+    if (!matches.length) return null;
+    const order = SENSITIVE_DETECTORS.map(([kind]) => kind);
+    return matches.reduce((best, m) => (order.indexOf(m.kind) < order.indexOf(best.kind) ? m : best));
+  }
+
+  // Replaces every secret with "••••" plus its last four characters (digits only for cards).
+  function maskSensitiveText(text) {
+    const t = (text ?? "").toString();
+    let out = "";
+    let last = 0;
+    for (const m of findSensitiveMatches(t)) {
+      const secret = t.slice(m.start, m.end);
+      const tail = m.kind === "card" ? secret.replace(/\D/g, "").slice(-4) : secret.slice(-4);
+      out += t.slice(last, m.start) + (secret.length >= 12 ? `${MASK}${tail}` : MASK);
+      last = m.end;
+    }
+    return trimmedText(out + t.slice(last));
+  }
+
+  /**
+   * Applies the sensitive-content setting to captured text.
+   * @returns {{ action: "store"|"mask"|"session"|"skip", text: string, match: object|null }}
+   *   `text` is what may be written (masked for "mask", empty for "skip").
+   */
+  function applySensitivePolicy(text, mode) {
+    const t = trimmedText(text);
+    const match = classifySensitiveText(t);
+    if (!match) return { action: "store", text: t, match: null };
+    const m = SENSITIVE_HANDLING_MODES.includes(mode) ? mode : DEFAULT_SENSITIVE_HANDLING;
+    if (m === "mask") return { action: "mask", text: maskSensitiveText(t), match };
+    if (m === "session") return { action: "session", text: t, match };
+    return { action: "skip", text: "", match };
+  }
+
+  // Short explanation for the toast / popup status, or "" when the text was stored normally.
+  function describeSensitiveDecision(decision) {
+    if (!decision?.match) return "";
+    const label = decision.match.label;
+    if (decision.action === "mask") return `${label} detected: saved masked`;
+    if (decision.action === "session") return `${label} detected: kept for this session only`;
+    return `${label} detected: not saved to history`;
+  }
+
+  /**
+   * History lock mode. With a lock record ({ version, salt, iterations, check }) in storage the
+   * stored history is an AES-GCM envelope { cipher, iv, data } encrypted with a key derived from
+   * the user's passphrase (PBKDF2-SHA-256). `check` is a known value encrypted with the same key,
+   * used to verify a passphrase without touching history.
+   */
+  const HISTORY_LOCK_VERSION = 1;
+  const HISTORY_KEY_ITERATIONS = 600000;
+  const HISTORY_LOCK_CHECK = "clipboard-qr-history";
+  const PASSPHRASE_MIN_LENGTH = 8;
+
+  function getSubtleCrypto() {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) throw new Error("WebCrypto is not available.");
+    return subtle;
+  }
+
+  function bytesToBase64(bytes) {
+    let binary = "";
+    for (const b of bytes) binary += String.fromCharCode(b);
+    return btoa(binary);
+  }
+
+  function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  function isEncryptedPayload(value) {
+    return (
+      !!value &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      value.cipher === "AES-GCM" &&
+      typeof value.iv === "string" &&
+      typeof value.data === "string"
+    );
+  }
+
+  // The key is extractable so the raw bytes can be kept (base64) in chrome.storage.session while
+  // unlocked: every extension page and the service worker read them from there, and the browser drops
+  // them when the session ends. The background keeps session storage closed to content scripts.
+  async function deriveHistoryKey(passphrase, salt, iterations = HISTORY_KEY_ITERATIONS) {
+    const subtle = getSubtleCrypto();
+    const material = await subtle.importKey(
+      "raw",
+      new TextEncoder().encode((passphrase ?? "").toString()),
+      "PBKDF2",
+      false,
+      ["deriveKey"]
+    );
+    return subtle.deriveKey(
+      { name: "PBKDF2", hash: "SHA-256", salt: base64ToBytes(salt), iterations },
+      material,
+      { name: "AES-GCM", length: 256 },
+      true,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  async function exportHistoryKey(key) {
+    return bytesToBase64(new Uint8Array(await getSubtleCrypto().exportKey("raw", key)));
+  }
+
+  function importHistoryKey(text) {
+    return getSubtleCrypto().importKey("raw", base64ToBytes(text), "AES-GCM", true, ["encrypt", "decrypt"]);
+  }
+
+  async function encryptJson(key, value) {
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+    const data = await getSubtleCrypto().encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { cipher: "AES-GCM", iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+  }
+
+  // Rejects when the key is wrong or the payload was tampered with.
+  async function decryptJson(key, payload) {
+    const data = await getSubtleCrypto().decrypt(
+      { name: "AES-GCM", iv: base64ToBytes(payload.iv) },
+      key,
+      base64ToBytes(payload.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+  }
+
+  // Resolves to { lock, key } for a new passphrase; rejects when the passphrase is too short.
+  async function createHistoryLock(passphrase, iterations = HISTORY_KEY_ITERATIONS) {
+    if ((passphrase ?? "").toString().length < PASSPHRASE_MIN_LENGTH) {
+      throw new Error(`Passphrase must be at least ${PASSPHRASE_MIN_LENGTH} characters.`);
+    }
+    const salt = bytesToBase64(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+    const key = await deriveHistoryKey(passphrase, salt, iterations);
+    const check = await encryptJson(key, HISTORY_LOCK_CHECK);
+    return { lock: { version: HISTORY_LOCK_VERSION, salt, iterations, check }, key };
+  }
+
+  // Resolves to the key, or null when the passphrase is wrong.
+  async function unlockHistoryLock(lock, passphrase) {
+    if (!lock || !isEncryptedPayload(lock.check)) return null;
+    const key = await deriveHistoryKey(passphrase, lock.salt, lock.iterations);
+    try {
+      return (await decryptJson(key, lock.check)) === HISTORY_LOCK_CHECK ? key : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Turns a stored history value into entries. An encrypted value needs `key`; without it the
+   * result is { locked: true, history: [] } and callers must not write history back.
+   */
+  async function readStoredHistory(value, key) {
+    if (!isEncryptedPayload(value)) return { locked: false, history: normalizeHistory(value) };
+    if (!key) return { locked: true, history: [] };
+    return { locked: false, history: normalizeHistory(await decryptJson(key, value)) };
+  }
+
+  // The value to store: an encrypted envelope when `key` is given, plain entries otherwise.
+  async function encodeHistoryForStorage(history, key) {
+    const entries = normalizeHistory(history);
+    return key ? encryptJson(key, entries) : entries;
+  }
+
+  /**
+   * The key batches are read and written with. Batches are encrypted with the history key while
+   * history lock is on; `locked` means the lock is on but this session has no key, so batches
+   * can be neither read nor written. `rawKey` is the base64 key from chrome.storage.session.
+   */
+  async function resolveBatchKey(lock, rawKey) {
+    if (!lock) return { locked: false, key: null };
+    if (!rawKey) return { locked: true, key: null };
+    return { locked: false, key: await importHistoryKey(rawKey) };
+  }
+
+  // Like readStoredHistory for the stored batches value (see normalizeBatches for `legacy`).
+  async function readStoredBatches(value, key, legacy) {
+    if (!isEncryptedPayload(value)) return { locked: false, batches: normalizeBatches(value, legacy) };
+    if (!key) return { locked: true, batches: normalizeBatches(null, null) };
+    return { locked: false, batches: normalizeBatches(await decryptJson(key, value)) };
+  }
+
+  async function encodeBatchesForStorage(batches, key) {
+    const value = normalizeBatches(batches);
+    return key ? encryptJson(key, value) : value;
+  }
+
+  const CAPTURE_COALESCE_WINDOW_MS = 500;
+
+  /**
+   * Drops repeats of one capture: with content scripts in every frame, a single copy on a page
+   * with nested iframes can be reported by several frames. `accept(tabId, text, channel)` is true
+   * for the first report of `text` from a tab and false for the same text from that tab within
+   * `windowMs` of it. Channels ("save" by default) are coalesced separately. `forget` undoes an
+   * accept whose capture failed, so a retry isn't dropped. `now` is injectable for tests.
+   */
+  function createCaptureCoalescer({ windowMs = CAPTURE_COALESCE_WINDOW_MS, now = () => Date.now() } = {}) {
+    const recent = new Map(); // key -> time of the first report
+    const keyFor = (tabId, text, channel) => JSON.stringify([tabId ?? null, trimmedText(text), channel]);
+    return {
+      accept(tabId, text, channel = "save") {
+        const time = now();
+        for (const [key, at] of recent) {
+          if (time - at >= windowMs || time < at) recent.delete(key);
+        }
+        const key = keyFor(tabId, text, channel);
+        if (recent.has(key)) return false;
+        recent.set(key, time);
+        return true;
+      },
+      forget(tabId, text, channel = "save") {
+        recent.delete(keyFor(tabId, text, channel));
+      },
+    };
+  }
+
+  /**
+   * Decides what to do with one COPY_CAPTURED report `{ text, toast?, save? }` from a tab.
+   * Every report claims the toast for its text (the top frame shows its own), so a toast relayed
+   * from an iframe is shown once. Only reports that will be saved claim the save, so an iframe
+   * reporting with save: false can't make the worker drop another frame's savable copy.
+   * Returns { toast, save, duplicate }: toast when a relayed toast should be shown, save when
+   * the capture should be stored, duplicate when a savable report was coalesced away.
+   */
+  function routeCaptureReport(coalescer, tabId, { text, toast, save } = {}) {
+    const firstToast = coalescer.accept(tabId, text, "toast");
+    const savable = save !== false;
+    const firstSave = savable && coalescer.accept(tabId, text, "save");
+    return { toast: Boolean(toast) && firstToast, save: firstSave, duplicate: savable && !firstSave };
+  }
+
+  // Serializes async tasks in a single JS context to avoid lost updates.
+  function createSerialQueue() {
+    let chain = Promise.resolve();
+    return function enqueue(task) {
+      const run = () => Promise.resolve().then(task);
+      chain = chain.then(run, run);
+      return chain;
+    };
+  }
+
+  // Password and one-time-code fields; what is pasted into them is never captured.
+  function isSecretField(el) {
+    if ((el?.tagName || "").toUpperCase() !== "INPUT") return false;
+    if ((el.type || "").toLowerCase() === "password") return true;
+    const autocomplete = el.autocomplete || el.getAttribute?.("autocomplete") || "";
+    return /\b(current-password|new-password|one-time-code)\b/i.test(autocomplete);
+  }
+
+  // Best-effort extraction of the copied or cut text without relying on navigator.clipboard.
+  // For a paste event it is the pasted text: only the event's clipboardData has it (the
+  // selection is what the paste replaces).
+  function extractCopiedTextFromCopyEvent(e, doc) {
+    const d = doc || (typeof document !== "undefined" ? document : null);
+    const pasting = e?.type === "paste";
+    if (pasting && isSecretField(e?.target)) return "";
+
+    // 1) Sometimes available on the event (often empty in Chrome for copy/cut, but cheap to try).
+    try {
+      const fromEvent = e?.clipboardData?.getData?.("text/plain");
+      const t = trimmedText(fromEvent);
+      if (t) return t;
+    } catch {
+      // ignore
+    }
+
+    return pasting ? "" : extractSelectedText(d, e?.target);
+  }
+
+  // Current selection in a document: a text-control selection first, then the page selection.
+  // Also used when there is no copy event at all (e.g. the overlay keyboard command).
+  function extractSelectedText(doc, target) {
+    const d = doc || (typeof document !== "undefined" ? document : null);
+    if (!d) return "";
+
+    // 2) If user copied from an input/textarea, selectionStart/End is reliable.
+    const fromTextControl = (el) => {
+      if (!el) return "";
+      const tag = (el.tagName || "").toUpperCase();
+      const isTextArea = tag === "TEXTAREA";
+      const isInput = tag === "INPUT";
+      if (!isTextArea && !isInput) return "";
+
+      const value = typeof el.value === "string" ? el.value : "";
+      const start = el.selectionStart;
+      const end = el.selectionEnd;
+      if (typeof start !== "number" || typeof end !== "number") return "";
+      if (start === end) return "";
+      return value.slice(start, end);
+    };
+
+    const active = d.activeElement;
+    const tFromActive = trimmedText(fromTextControl(active));
+    if (tFromActive) return tFromActive;
+
+    const tFromTarget = trimmedText(fromTextControl(target));
+    if (tFromTarget) return tFromTarget;
+
+    // 3) Generic selection text (works for normal page text).
+    try {
+      const sel = d.getSelection?.();
+      const t = trimmedText(sel?.toString?.());
+      if (t) return t;
+    } catch {
+      // ignore
+    }
+
+    return "";
+  }
+
+  // Reads the module grid out of a qrcode.js model (anything with getModuleCount/isDark).
+  function qrModelToMatrix(model) {
+    const count = Number(model?.getModuleCount?.()) || 0;
+    const matrix = [];
+    for (let row = 0; row < count; row++) {
+      const cells = [];
+      for (let col = 0; col < count; col++) {
+        cells.push(model.isDark(row, col) === true);
+      }
+      matrix.push(cells);
+    }
+    return matrix;
+  }
+
+  function escapeXmlAttr(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/"/g, "&quot;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
+  /**
+   * Builds a standalone vector SVG from a QR module matrix.
+   * Horizontal runs of dark modules are merged into a single path segment,
+   * so the output stays small and scales cleanly in print layouts.
+   *
+   * @param {boolean[][]} matrix - Square module grid (true = dark)
+   * @param {object} [opts]
+   * @param {number} [opts.margin=4] - Quiet zone, in modules
+   * @param {number} [opts.moduleSize=10] - Rendered size of one module, in px
+   * @param {number} [opts.size] - Total rendered size in px (overrides moduleSize)
+   * @param {string} [opts.colorDark="#000000"]
+   * @param {string} [opts.colorLight="#ffffff"]
+   * @returns {string} SVG markup ("" when the matrix is empty)
+   */
+  function buildQrSvg(matrix, opts) {
+    const {
+      margin = 4,
+      moduleSize = 10,
+      size,
+      colorDark = "#000000",
+      colorLight = "#ffffff",
+    } = opts || {};
+
+    const count = Array.isArray(matrix) ? matrix.length : 0;
+    if (!count) return "";
+
+    const quiet = Math.max(0, Math.floor(margin));
+    const total = count + quiet * 2;
+    const pixels = Number.isFinite(size) && size > 0 ? Math.round(size) : total * moduleSize;
+
+    const segments = [];
+    for (let row = 0; row < count; row++) {
+      let col = 0;
+      while (col < count) {
+        if (!matrix[row]?.[col]) {
+          col++;
+          continue;
+        }
+        const start = col;
+        while (col < count && matrix[row]?.[col]) col++;
+        segments.push(`M${start + quiet} ${row + quiet}h${col - start}v1h-${col - start}z`);
+      }
+    }
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${pixels}" height="${pixels}" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">`,
+      `<rect width="${total}" height="${total}" fill="${escapeXmlAttr(colorLight)}"/>`,
+      `<path d="${segments.join("")}" fill="${escapeXmlAttr(colorDark)}"/>`,
+      "</svg>",
+    ].join("");
+  }
+
+  function parseHexColor(value) {
+    const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(trimmedText(value));
+    if (!m) return null;
+    const hex = m[1].length === 3 ? m[1].replace(/./g, "$&$&") : m[1];
+    return {
+      hex: `#${hex.toLowerCase()}`,
+      rgb: [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16)),
+    };
+  }
+
+  function relativeLuminance(rgb) {
+    const [r, g, b] = rgb.map((c) => {
+      const s = c / 255;
+      return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  // WCAG contrast ratio between two hex colors (1 = identical, 21 = black on white).
+  function colorContrastRatio(a, b) {
+    const ca = parseHexColor(a);
+    const cb = parseHexColor(b);
+    if (!ca || !cb) return 0;
+    const la = relativeLuminance(ca.rgb);
+    const lb = relativeLuminance(cb.rgb);
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+  }
+
+  // Bytes qrcode.js counts for `text`: its UTF-8 length plus 3 for a BOM. The vendored build meant
+  // to add the BOM only for non-ASCII text, but it compares the byte count with the text itself
+  // (`b.length != a`), so the 3 bytes are added to everything except a numeric string equal to
+  // its own length (e.g. "1"). Mirror that so the limit check matches what the encoder accepts.
+  function qrPayloadByteLength(text) {
+    const s = (text ?? "").toString();
+    const bytes = new TextEncoder().encode(s).length;
+    return Number(s) === bytes ? bytes : bytes + 3;
+  }
+
+  function qrPayloadFits(text, correctLevel) {
+    const max = QR_MAX_BYTES[correctLevel];
+    if (!max) return false;
+    return qrPayloadByteLength(text) <= max;
+  }
+
+  // Coerces stored options into a complete, safe set (invalid fields fall back to defaults).
+  function normalizeQrOptions(value) {
+    const v = value && typeof value === "object" ? value : {};
+    const size = Math.round(Number(v.size));
+    const quietZone = Math.round(Number(v.quietZone));
+    return {
+      size:
+        Number.isFinite(size) && size >= QR_SIZE_MIN && size <= QR_SIZE_MAX
+          ? size
+          : DEFAULT_QR_OPTIONS.size,
+      correctLevel: QR_CORRECT_LEVELS.includes(v.correctLevel)
+        ? v.correctLevel
+        : DEFAULT_QR_OPTIONS.correctLevel,
+      colorDark: parseHexColor(v.colorDark)?.hex ?? DEFAULT_QR_OPTIONS.colorDark,
+      colorLight: parseHexColor(v.colorLight)?.hex ?? DEFAULT_QR_OPTIONS.colorLight,
+      quietZone:
+        Number.isFinite(quietZone) && quietZone >= 0 && quietZone <= QR_QUIET_ZONE_MAX
+          ? quietZone
+          : DEFAULT_QR_OPTIONS.quietZone,
+    };
+  }
+
+  /**
+   * Validates user-entered QR options before they are saved.
+   *
+   * @param {object} raw - Options as entered (strings are fine)
+   * @param {object} [ctx]
+   * @param {string} [ctx.text] - Current payload; checked against the ECC level's capacity
+   * @returns {{ ok: boolean, errors: string[], options: object }}
+   */
+  function validateQrOptions(raw, ctx) {
+    const v = raw && typeof raw === "object" ? raw : {};
+    const errors = [];
+
+    const size = Number(v.size);
+    if (!Number.isInteger(size) || size < QR_SIZE_MIN || size > QR_SIZE_MAX) {
+      errors.push(`Size must be a whole number between ${QR_SIZE_MIN} and ${QR_SIZE_MAX}.`);
+    }
+
+    const quietZone = Number(v.quietZone);
+    if (!Number.isInteger(quietZone) || quietZone < 0 || quietZone > QR_QUIET_ZONE_MAX) {
+      errors.push(`Quiet zone must be between 0 and ${QR_QUIET_ZONE_MAX} modules.`);
+    }
+
+    const levelValid = QR_CORRECT_LEVELS.includes(v.correctLevel);
+    if (!levelValid) {
+      errors.push("Unknown error-correction level.");
+    }
+
+    const dark = parseHexColor(v.colorDark);
+    const light = parseHexColor(v.colorLight);
+    if (!dark || !light) {
+      errors.push("Colors must be hex values like #000000.");
+    } else {
+      // Most scanners expect dark modules on a light background, with clear separation.
+      if (relativeLuminance(dark.rgb) >= relativeLuminance(light.rgb)) {
+        errors.push("Foreground color must be darker than the background.");
+      } else if (colorContrastRatio(dark.hex, light.hex) < QR_MIN_CONTRAST) {
+        errors.push(`Colors need a contrast ratio of at least ${QR_MIN_CONTRAST}:1.`);
+      }
+    }
+
+    const text = trimmedText(ctx?.text);
+    if (levelValid && text && !qrPayloadFits(text, v.correctLevel)) {
+      errors.push(
+        `Current text is too long for level ${v.correctLevel} (max ${QR_MAX_BYTES[v.correctLevel]} bytes).`
+      );
+    }
+
+    return {
+      ok: errors.length === 0,
+      errors,
+      options: normalizeQrOptions(v),
+    };
+  }
+
+  // ==========================================================================
+  // Print sheets (batch items laid out as labels; all lengths in mm)
+  // ==========================================================================
+
+  const PAGE_SIZES = Object.freeze({
+    a4: Object.freeze({ label: "A4", width: 210, height: 297 }),
+    letter: Object.freeze({ label: "US Letter", width: 215.9, height: 279.4 }),
+  });
+
+  // Margins are chosen so the derived label size matches the vendor sheet.
+  const LABEL_TEMPLATES = Object.freeze({
+    "avery-l7160": Object.freeze({
+      name: "Avery L7160 – A4, 3 × 7 (63.5 × 38.1 mm)",
+      page: "a4", columns: 3, rows: 7,
+      marginTop: 15.15, marginBottom: 15.15, marginLeft: 7.21, marginRight: 7.21, gapX: 2.54, gapY: 0,
+    }),
+    "avery-l7163": Object.freeze({
+      name: "Avery L7163 – A4, 2 × 7 (99.1 × 38.1 mm)",
+      page: "a4", columns: 2, rows: 7,
+      marginTop: 15.15, marginBottom: 15.15, marginLeft: 4.63, marginRight: 4.63, gapX: 2.54, gapY: 0,
+    }),
+    "avery-5160": Object.freeze({
+      name: "Avery 5160 – Letter, 3 × 10 (2⅝ × 1 in)",
+      page: "letter", columns: 3, rows: 10,
+      marginTop: 12.7, marginBottom: 12.7, marginLeft: 4.7625, marginRight: 4.7625, gapX: 3.175, gapY: 0,
+    }),
+    "avery-5163": Object.freeze({
+      name: "Avery 5163 – Letter, 2 × 5 (4 × 2 in)",
+      page: "letter", columns: 2, rows: 5,
+      marginTop: 12.7, marginBottom: 12.7, marginLeft: 3.96875, marginRight: 3.96875, gapX: 4.7625, gapY: 0,
+    }),
+    "grid-a4-4x6": Object.freeze({
+      name: "Plain A4 grid, 4 × 6",
+      page: "a4", columns: 4, rows: 6,
+      marginTop: 10, marginBottom: 10, marginLeft: 10, marginRight: 10, gapX: 4, gapY: 4,
+    }),
+  });
+  const DEFAULT_LABEL_TEMPLATE = "avery-l7160";
+  const SHEET_GRID_MAX = Object.freeze({ columns: 10, rows: 20 });
+  const SHEET_LABEL_MIN_SIZE = 15;
+  const SHEET_LABEL_PADDING = 2;
+  const SHEET_CAPTION_HEIGHT = 4;
+  const SHEET_CAPTION_FONT_SIZE = 7; // pt
+
+  /**
+   * Checks a (custom) label template and derives the label size from the page, grid,
+   * margins and gaps.
+   *
+   * @returns {{ok: boolean, errors: string[], template: object|null}}
+   *   template: { page, columns, rows, margin*, gapX, gapY, pageWidth, pageHeight, labelWidth, labelHeight }
+   */
+  function validateSheetTemplate(raw) {
+    const v = raw && typeof raw === "object" ? raw : {};
+    const errors = [];
+    const page = PAGE_SIZES[v.page];
+    if (!page) errors.push("Choose a page size.");
+
+    const grid = {};
+    for (const key of ["columns", "rows"]) {
+      const n = Number(v[key]);
+      if (!Number.isInteger(n) || n < 1 || n > SHEET_GRID_MAX[key]) {
+        errors.push(`${key === "columns" ? "Columns" : "Rows"} must be a whole number from 1 to ${SHEET_GRID_MAX[key]}.`);
+      }
+      grid[key] = n;
+    }
+
+    const spacing = {};
+    for (const key of ["marginTop", "marginBottom", "marginLeft", "marginRight", "gapX", "gapY"]) {
+      const n = v[key] === undefined || v[key] === "" ? 0 : Number(v[key]);
+      if (!Number.isFinite(n) || n < 0) errors.push("Margins and gaps must be zero or more millimetres.");
+      spacing[key] = n;
+    }
+    if (errors.length) return { ok: false, errors: [...new Set(errors)], template: null };
+
+    const usableWidth = page.width - spacing.marginLeft - spacing.marginRight - spacing.gapX * (grid.columns - 1);
+    const usableHeight = page.height - spacing.marginTop - spacing.marginBottom - spacing.gapY * (grid.rows - 1);
+    const labelWidth = usableWidth / grid.columns;
+    const labelHeight = usableHeight / grid.rows;
+    if (labelWidth < SHEET_LABEL_MIN_SIZE || labelHeight < SHEET_LABEL_MIN_SIZE) {
+      return {
+        ok: false,
+        errors: [`Labels must be at least ${SHEET_LABEL_MIN_SIZE} × ${SHEET_LABEL_MIN_SIZE} mm; use fewer rows or columns, or smaller margins.`],
+        template: null,
+      };
+    }
+
+    return {
+      ok: true,
+      errors: [],
+      template: {
+        page: v.page,
+        ...grid,
+        ...spacing,
+        pageWidth: page.width,
+        pageHeight: page.height,
+        labelWidth,
+        labelHeight,
+      },
+    };
+  }
+
+  /**
+   * Positions `itemCount` labels on as many pages as needed, filling rows left to right.
+   * Each label holds a square QR code and, when `showCaptions` is set, a one-line caption:
+   * below the code on tall labels, to its right on wide ones.
+   *
+   * @param {object} template - A template accepted by validateSheetTemplate (e.g. from LABEL_TEMPLATES)
+   * @param {number} itemCount
+   * @param {object} [opts]
+   * @param {boolean} [opts.showCaptions=true]
+   * @returns {object|null} { pageWidth, pageHeight, labelWidth, labelHeight, perPage, pages } where
+   *   pages is an array of cells { index, x, y, qr: { x, y, size }, caption: { x, y, width, height, align } | null }
+   *   with page coordinates measured from the top-left corner. null when the template is invalid.
+   */
+  function computeSheetLayout(template, itemCount, opts) {
+    const { showCaptions = true } = opts || {};
+    const { ok, template: t } = validateSheetTemplate(template);
+    if (!ok) return null;
+
+    const pad = Math.min(SHEET_LABEL_PADDING, t.labelWidth / 10, t.labelHeight / 10);
+    const innerWidth = t.labelWidth - pad * 2;
+    const innerHeight = t.labelHeight - pad * 2;
+    const beside = showCaptions && innerWidth >= innerHeight * 1.6;
+
+    let qrSize;
+    if (!showCaptions) qrSize = Math.min(innerWidth, innerHeight);
+    else if (beside) qrSize = Math.min(innerHeight, innerWidth / 2);
+    else qrSize = Math.min(innerWidth, innerHeight - SHEET_CAPTION_HEIGHT);
+
+    const perPage = t.columns * t.rows;
+    const count = Math.max(0, Math.floor(Number(itemCount)) || 0);
+    const pages = [];
+    for (let index = 0; index < count; index++) {
+      const slot = index % perPage;
+      if (slot === 0) pages.push([]);
+      const x = t.marginLeft + (slot % t.columns) * (t.labelWidth + t.gapX);
+      const y = t.marginTop + Math.floor(slot / t.columns) * (t.labelHeight + t.gapY);
+
+      let qr;
+      let caption = null;
+      if (beside) {
+        qr = { x: x + pad, y: y + (t.labelHeight - qrSize) / 2, size: qrSize };
+        caption = {
+          x: x + pad * 2 + qrSize,
+          y: y + (t.labelHeight - SHEET_CAPTION_HEIGHT) / 2,
+          width: innerWidth - qrSize - pad,
+          height: SHEET_CAPTION_HEIGHT,
+          align: "left",
+        };
+      } else if (showCaptions) {
+        const top = y + (t.labelHeight - qrSize - SHEET_CAPTION_HEIGHT) / 2;
+        qr = { x: x + (t.labelWidth - qrSize) / 2, y: top, size: qrSize };
+        caption = { x: x + pad, y: top + qrSize, width: innerWidth, height: SHEET_CAPTION_HEIGHT, align: "center" };
+      } else {
+        qr = { x: x + (t.labelWidth - qrSize) / 2, y: y + (t.labelHeight - qrSize) / 2, size: qrSize };
+      }
+      pages[pages.length - 1].push({ index, x, y, qr, caption });
+    }
+
+    return {
+      pageWidth: t.pageWidth,
+      pageHeight: t.pageHeight,
+      labelWidth: t.labelWidth,
+      labelHeight: t.labelHeight,
+      perPage,
+      pages,
+    };
+  }
+
+  const PT_PER_MM = 72 / 25.4;
+
+  function pdfNumber(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  function pdfColor(hex) {
+    const rgb = parseHexColor(hex)?.rgb ?? [0, 0, 0];
+    return rgb.map((c) => pdfNumber(c / 255)).join(" ");
+  }
+
+  // WinAnsi codes for common punctuation outside Latin-1.
+  const WIN_ANSI_EXTRA = Object.freeze({
+    "€": 0x80, "…": 0x85, "•": 0x95, "–": 0x96, "—": 0x97,
+    "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94,
+  });
+
+  // PDF string literal for the standard Helvetica font (WinAnsi); other characters become "?".
+  function pdfTextLiteral(text) {
+    let out = "";
+    for (const ch of String(text)) {
+      const code = WIN_ANSI_EXTRA[ch] ?? ch.codePointAt(0);
+      if (ch === "(" || ch === ")" || ch === "\\") out += `\\${ch}`;
+      else if (code >= 32 && code < 127) out += ch;
+      else if (WIN_ANSI_EXTRA[ch] || (code >= 160 && code <= 255)) out += `\\${code.toString(8).padStart(3, "0")}`;
+      else out += "?";
+    }
+    return `(${out})`;
+  }
+
+  // Cuts `text` to fit `width` mm at `fontSize` pt, using an average Helvetica glyph width.
+  function fitCaption(text, width, fontSize) {
+    const oneLine = String(text ?? "").replace(/\s+/g, " ").trim();
+    const maxChars = Math.max(1, Math.floor((width * PT_PER_MM) / (fontSize * 0.52)));
+    const chars = Array.from(oneLine);
+    return chars.length <= maxChars ? oneLine : `${chars.slice(0, Math.max(1, maxChars - 1)).join("")}…`;
+  }
+
+  /**
+   * Builds a vector PDF of a sheet layout. QR modules are drawn as filled rectangles (runs
+   * merged per row, like buildQrSvg) and captions use the built-in Helvetica font.
+   *
+   * @param {object} layout - From computeSheetLayout
+   * @param {Array<{matrix: boolean[][], caption?: string}>} items - One per layout cell, by index
+   * @param {object} [opts]
+   * @param {number} [opts.margin=4] - Quiet zone, in modules
+   * @param {string} [opts.colorDark="#000000"]
+   * @param {string} [opts.colorLight="#ffffff"]
+   * @returns {string} The PDF file (7-bit ASCII, so string length equals byte length)
+   */
+  function buildSheetPdf(layout, items, opts) {
+    const { margin = 4, colorDark = "#000000", colorLight = "#ffffff" } = opts || {};
+    const pageWidth = layout.pageWidth * PT_PER_MM;
+    const pageHeight = layout.pageHeight * PT_PER_MM;
+    const quiet = Math.max(0, Math.floor(margin));
+    // PDF puts the origin bottom-left; layouts measure from the top-left.
+    const px = (mm) => pdfNumber(mm * PT_PER_MM);
+    const py = (mm) => pdfNumber(pageHeight - mm * PT_PER_MM);
+
+    const objects = [];
+    const addObject = (body) => objects.push(body) + 2; // object 1 is the catalog, 2 the page tree
+    const fontId = addObject("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+    const pageIds = [];
+
+    for (const cells of layout.pages) {
+      const ops = [];
+      for (const cell of cells) {
+        const matrix = items[cell.index]?.matrix ?? [];
+        const count = matrix.length;
+        if (count) {
+          const module = cell.qr.size / (count + quiet * 2);
+          ops.push(`${pdfColor(colorLight)} rg`);
+          ops.push(`${px(cell.qr.x)} ${py(cell.qr.y + cell.qr.size)} ${px(cell.qr.size)} ${px(cell.qr.size)} re f`);
+          ops.push(`${pdfColor(colorDark)} rg`);
+          for (let row = 0; row < count; row++) {
+            let col = 0;
+            while (col < count) {
+              if (!matrix[row]?.[col]) {
+                col++;
+                continue;
+              }
+              const start = col;
+              while (col < count && matrix[row]?.[col]) col++;
+              const x = cell.qr.x + (start + quiet) * module;
+              const y = cell.qr.y + (row + quiet + 1) * module;
+              ops.push(`${px(x)} ${py(y)} ${px((col - start) * module)} ${px(module)} re`);
+            }
+          }
+          ops.push("f");
+        }
+        const caption = items[cell.index]?.caption;
+        if (cell.caption && caption) {
+          const text = fitCaption(caption, cell.caption.width, SHEET_CAPTION_FONT_SIZE);
+          const baseline = cell.caption.y + cell.caption.height * 0.75;
+          const textWidth = (Array.from(text).length * SHEET_CAPTION_FONT_SIZE * 0.52) / PT_PER_MM;
+          const x =
+            cell.caption.align === "center"
+              ? cell.caption.x + Math.max(0, (cell.caption.width - textWidth) / 2)
+              : cell.caption.x;
+          ops.push("0 0 0 rg");
+          ops.push(`BT /F1 ${SHEET_CAPTION_FONT_SIZE} Tf ${px(x)} ${py(baseline)} Td ${pdfTextLiteral(text)} Tj ET`);
+        }
+      }
+      const stream = ops.join("\n");
+      const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      pageIds.push(
+        addObject(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNumber(pageWidth)} ${pdfNumber(pageHeight)}] ` +
+            `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+        )
+      );
+    }
+
+    const all = [
+      "<< /Type /Catalog /Pages 2 0 R >>",
+      `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`,
+      ...objects,
+    ];
+    let pdf = "%PDF-1.4\n";
+    const offsets = [];
+    all.forEach((body, i) => {
+      offsets.push(pdf.length);
+      pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${all.length + 1}\n0000000000 65535 f \n`;
+    for (const offset of offsets) pdf += `${String(offset).padStart(10, "0")} 00000 n \n`;
+    pdf += `trailer\n<< /Size ${all.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+  }
+
+  // ==========================================================================
+  // Batch import (CSV / XLSX rows → batch items)
+  // ==========================================================================
+
+  const CSV_DELIMITERS = [",", ";", "\t"];
+  const BATCH_IMPORT_STATUS_LABELS = Object.freeze({
+    ok: "OK",
+    empty: "Empty payload",
+    "too-long": "Too long for a QR code",
+    duplicate: "Duplicate",
+    "over-limit": "Over the batch limit",
+  });
+
+  // The delimiter (comma, semicolon or tab) that occurs most often in the first line outside quotes.
+  function detectCsvDelimiter(rawText) {
+    const firstLine = String(rawText || "").replace(/"[^"]*"/g, "").split(/\r?\n/, 1)[0];
+    let best = ",";
+    let bestCount = 0;
+    for (const delimiter of CSV_DELIMITERS) {
+      const count = firstLine.split(delimiter).length - 1;
+      if (count > bestCount) {
+        best = delimiter;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+
+  // RFC 4180-style parsing: quoted fields may hold delimiters, newlines and "" escapes.
+  function parseCsvRows(rawText, delimiter = detectCsvDelimiter(rawText)) {
+    const text = String(rawText || "").replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (char === "\n") {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else if (char !== "\r") {
+        field += char;
+      }
+    }
+
+    if (field.length > 0 || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    // Drop blank lines (e.g. a trailing newline), like the XLSX reader's blankrows: false.
+    return rows.filter((cells) => cells.some((cell) => cell.trim()));
+  }
+
+  // Case-insensitive header lookup; -1 when missing.
+  function getColumnIndex(headers, columnName) {
+    const wanted = trimmedText(columnName).toLowerCase();
+    if (!wanted) return -1;
+    return (headers || []).findIndex((header) => trimmedText(header).toLowerCase() === wanted);
+  }
+
+  // Fills `{column}` placeholders from `row`. A placeholder names a header or a 1-based column
+  // number. Values are URL-encoded when the template is a URL (e.g. "https://inv.example/{id}").
+  function applyPayloadTemplate(template, row, headers) {
+    const isUrl = /^[a-z][a-z0-9+.-]*:/i.test(trimmedText(template));
+    return String(template || "").replace(/\{([^{}]+)\}/g, (match, name) => {
+      let index = getColumnIndex(headers, name);
+      if (index < 0 && /^\d+$/.test(name.trim())) index = Number(name) - 1;
+      if (index < 0) return match;
+      const value = trimmedText(row?.[index]);
+      return isUrl ? encodeURIComponent(value) : value;
+    });
+  }
+
+  // Placeholders in `template` that match neither a header nor a column number.
+  function findUnknownPlaceholders(template, headers, columnCount) {
+    const unknown = [];
+    for (const [, name] of String(template || "").matchAll(/\{([^{}]+)\}/g)) {
+      const n = /^\d+$/.test(name.trim()) ? Number(name) : 0;
+      const known = getColumnIndex(headers, name) >= 0 || (n >= 1 && n <= columnCount);
+      if (!known && !unknown.includes(name)) unknown.push(name);
+    }
+    return unknown;
+  }
+
+  /**
+   * Turns imported rows into batch items and a per-row validation report. Nothing is stored.
+   *
+   * @param {Array<Array<string>>} rows - Parsed rows (parseCsvRows or an XLSX sheet)
+   * @param {object} opts
+   * @param {boolean} [opts.hasHeader=true] - First row holds column names
+   * @param {number} opts.payloadColumn - Column index of the payload (ignored with a template)
+   * @param {number} [opts.captionColumn=-1] - Column index of the caption, -1 for none
+   * @param {string} [opts.template] - e.g. "https://inv.example/{id}" (see applyPayloadTemplate)
+   * @param {string} [opts.correctLevel="M"] - For the QR capacity check
+   * @param {number} [opts.limit] - Batch limit; valid rows past it are reported, not imported
+   * @returns {object} { headers, columnCount, rows: [{ rowNumber, payload, caption, status }],
+   *   items, captions, summary: { total, valid, empty, tooLong, duplicates, overLimit }, errors }
+   */
+  function buildBatchImport(rows, opts) {
+    const {
+      hasHeader = true,
+      payloadColumn = 0,
+      captionColumn = -1,
+      template = "",
+      correctLevel = DEFAULT_QR_OPTIONS.correctLevel,
+      limit = DEFAULT_LIMITS.batchLimit,
+    } = opts || {};
+    const all = Array.isArray(rows) ? rows.map((row) => (Array.isArray(row) ? row.map((c) => String(c ?? "")) : [])) : [];
+    const headers = hasHeader ? all[0] ?? [] : [];
+    const dataRows = hasHeader ? all.slice(1) : all;
+    const columnCount = Math.max(0, ...all.map((row) => row.length));
+    const useTemplate = Boolean(trimmedText(template));
+
+    const errors = [];
+    if (useTemplate) {
+      const unknown = findUnknownPlaceholders(template, headers, columnCount);
+      if (unknown.length) errors.push(`Unknown column in template: ${unknown.map((n) => `{${n}}`).join(", ")}`);
+    } else if (!Number.isInteger(payloadColumn) || payloadColumn < 0 || payloadColumn >= columnCount) {
+      errors.push("Choose the payload column.");
+    }
+
+    // A template whose placeholders are all blank leaves only its fixed text: treat that as empty.
+    const blankTemplatePayload = useTemplate
+      ? trimmedText(applyPayloadTemplate(template, new Array(columnCount).fill(""), headers))
+      : "";
+    const seen = new Set();
+    const items = [];
+    const captions = {};
+    const summary = { total: dataRows.length, valid: 0, empty: 0, tooLong: 0, duplicates: 0, overLimit: 0 };
+    const report = dataRows.map((row, i) => {
+      const payload = useTemplate
+        ? trimmedText(applyPayloadTemplate(template, row, headers))
+        : trimmedText(row[payloadColumn]);
+      const caption = captionColumn >= 0 ? trimmedText(row[captionColumn]) : "";
+      const entry = { rowNumber: i + (hasHeader ? 2 : 1), payload, caption, status: "ok" };
+
+      if (!payload || (useTemplate && payload === blankTemplatePayload)) {
+        entry.status = "empty";
+        summary.empty++;
+      } else if (!qrPayloadFits(payload, correctLevel)) {
+        entry.status = "too-long";
+        summary.tooLong++;
+      } else if (seen.has(payload)) {
+        entry.status = "duplicate";
+        summary.duplicates++;
+      } else if (items.length >= limit) {
+        entry.status = "over-limit";
+        summary.overLimit++;
+      } else {
+        seen.add(payload);
+        items.push(payload);
+        if (caption) captions[payload] = caption;
+        summary.valid++;
+      }
+      return entry;
+    });
+
+    return { headers, columnCount, rows: report, items, captions, summary, errors };
+  }
+
+  // One-line summary for the import page, e.g. "12 of 14 rows ready · 1 empty · 1 too long".
+  function describeBatchImport(summary) {
+    const parts = [`${summary.valid} of ${summary.total} rows ready`];
+    if (summary.empty) parts.push(`${summary.empty} empty`);
+    if (summary.tooLong) parts.push(`${summary.tooLong} too long`);
+    if (summary.duplicates) parts.push(`${summary.duplicates} duplicate${summary.duplicates === 1 ? "" : "s"}`);
+    if (summary.overLimit) parts.push(`${summary.overLimit} over the batch limit`);
+    return parts.join(" · ");
+  }
+
+  // ==========================================================================
+  // Sequence patterns (batch generator)
+  // ==========================================================================
+
+  // Fields are written in braces: {1..20}, {001..120..5}, {A..F}, {A01..C10}, {red,green}
+  // and {#} / {###} for a running counter. Several fields in one pattern multiply (the
+  // leftmost varies slowest); {{ and }} are literal braces.
+  const SEQUENCE_FIELD_RE = /\{\{|\}\}|\{([^{}]*)\}/g;
+  const SEQUENCE_SEGMENT_RE = /[A-Za-z]+|\d+/g;
+
+  function numericRange(startText, endText, stepText) {
+    const start = Number(startText);
+    const end = Number(endText);
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isSafeInteger(start) || !Number.isSafeInteger(end)) throw new Error("Range numbers are too large.");
+    if (!Number.isSafeInteger(step) || step <= 0) throw new Error("Steps must be whole numbers of 1 or more.");
+    // Leading zeros on either end set the padding, as in {001..120}.
+    const padded = /^0\d/.test(startText) || /^0\d/.test(endText);
+    const width = padded ? Math.max(startText.length, endText.length) : 0;
+    const direction = end >= start ? 1 : -1;
+    const count = Math.floor(Math.abs(end - start) / step) + 1;
+    return {
+      count,
+      valueAt: (i) => String(start + direction * step * i).padStart(width, "0"),
+    };
+  }
+
+  function letterRange(startText, endText) {
+    if (startText.length !== 1 || endText.length !== 1) {
+      throw new Error(`Letter ranges use single letters, like A..F (got ${startText}..${endText}).`);
+    }
+    const isUpper = (c) => c >= "A" && c <= "Z";
+    if (isUpper(startText) !== isUpper(endText)) throw new Error(`Use the same case on both ends of ${startText}..${endText}.`);
+    const start = startText.charCodeAt(0);
+    const end = endText.charCodeAt(0);
+    const direction = end >= start ? 1 : -1;
+    return {
+      count: Math.abs(end - start) + 1,
+      valueAt: (i) => String.fromCharCode(start + direction * i),
+    };
+  }
+
+  // Product of per-segment ranges: A01..C10 is A..C × 01..10.
+  function combineRanges(ranges) {
+    const count = ranges.reduce((n, r) => n * r.count, 1);
+    return {
+      count,
+      valueAt(i) {
+        let rest = i;
+        let out = "";
+        for (let k = ranges.length - 1; k >= 0; k--) {
+          out = ranges[k].valueAt(rest % ranges[k].count) + out;
+          rest = Math.floor(rest / ranges[k].count);
+        }
+        return out;
+      },
+    };
+  }
+
+  function parseSequenceField(body) {
+    const text = body.trim();
+    if (/^#+$/.test(text)) return { type: "counter", width: text.length };
+    if (text.includes(",")) {
+      const values = text.split(",").map((v) => v.trim());
+      return { type: "values", count: values.length, valueAt: (i) => values[i] };
+    }
+
+    const parts = text.split("..");
+    if (parts.length < 2 || parts.length > 3) {
+      throw new Error(`Unknown field {${body}}. Use a range like {1..10}, a list like {a,b} or a counter {#}.`);
+    }
+    const [startText, endText, stepText] = parts.map((p) => p.trim());
+    if (stepText !== undefined && !/^\d+$/.test(stepText)) throw new Error("Steps must be whole numbers of 1 or more.");
+    if (/^\d+$/.test(startText) && /^\d+$/.test(endText)) {
+      return { type: "values", ...numericRange(startText, endText, stepText) };
+    }
+
+    const startSegments = startText.match(SEQUENCE_SEGMENT_RE) ?? [];
+    const endSegments = endText.match(SEQUENCE_SEGMENT_RE) ?? [];
+    const sameShape =
+      startSegments.join("") === startText &&
+      endSegments.join("") === endText &&
+      startSegments.length === endSegments.length &&
+      startSegments.every((seg, i) => /^\d/.test(seg) === /^\d/.test(endSegments[i]));
+    if (!startSegments.length || !sameShape) {
+      throw new Error(`Both ends of {${body}} need the same shape of letters and digits, like A01..C10.`);
+    }
+    if (stepText !== undefined) throw new Error(`Steps only apply to number ranges (in {${body}}).`);
+    const ranges = startSegments.map((seg, i) =>
+      /^\d/.test(seg) ? numericRange(seg, endSegments[i]) : letterRange(seg, endSegments[i])
+    );
+    return { type: "values", ...combineRanges(ranges) };
+  }
+
+  /**
+   * Parses one pattern line. Throws with a readable message when a field is invalid.
+   * @returns {{ parts: Array<object>, count: number }} parts are { type: "text", value },
+   *   { type: "values", count, valueAt(i) } or { type: "counter", width }
+   */
+  function parseSequencePattern(pattern) {
+    const source = String(pattern ?? "");
+    const parts = [];
+    let text = "";
+    let last = 0;
+    const unmatched = () => new Error("Unmatched brace; write {{ or }} for a literal brace.");
+    for (const match of source.matchAll(SEQUENCE_FIELD_RE)) {
+      const between = source.slice(last, match.index);
+      if (/[{}]/.test(between)) throw unmatched();
+      text += between;
+      last = match.index + match[0].length;
+      if (match[0] === "{{" || match[0] === "}}") {
+        text += match[0][0];
+        continue;
+      }
+      if (text) parts.push({ type: "text", value: text });
+      text = "";
+      parts.push(parseSequenceField(match[1]));
+    }
+    const tail = source.slice(last);
+    if (/[{}]/.test(tail)) throw unmatched();
+    text += tail;
+    if (text) parts.push({ type: "text", value: text });
+    const count = parts.reduce((n, part) => (part.type === "values" ? n * part.count : n), 1);
+    return { parts, count };
+  }
+
+  /**
+   * Expands pattern lines (one pattern per line, blank lines ignored) into batch items.
+   * The size is checked before anything is generated, so huge patterns fail fast.
+   *
+   * @param {string} text
+   * @param {object} [opts]
+   * @param {number} [opts.limit] - Maximum number of items (the batch limit)
+   * @returns {{ ok: boolean, errors: string[], count: number, items: string[] }}
+   *   count is the would-be total even when it exceeds the limit.
+   */
+  function expandSequencePatterns(text, opts) {
+    const { limit = DEFAULT_LIMITS.batchLimit } = opts || {};
+    const lines = String(text ?? "").split(/\r?\n/);
+    const patterns = [];
+    const errors = [];
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        patterns.push(parseSequencePattern(line.trim()));
+      } catch (err) {
+        errors.push(lines.filter((l) => l.trim()).length > 1 ? `Line ${i + 1}: ${err.message}` : err.message);
+      }
+    });
+    const count = patterns.reduce((n, p) => n + p.count, 0);
+    if (!errors.length && count > limit) {
+      errors.push(`This makes ${count} items, over the batch limit of ${limit}.`);
+    }
+    if (errors.length) return { ok: false, errors, count, items: [] };
+
+    const items = [];
+    for (const { parts, count: patternCount } of patterns) {
+      for (let i = 0; i < patternCount; i++) {
+        let rest = i;
+        const values = new Array(parts.length);
+        for (let k = parts.length - 1; k >= 0; k--) {
+          const part = parts[k];
+          if (part.type !== "values") continue;
+          values[k] = part.valueAt(rest % part.count);
+          rest = Math.floor(rest / part.count);
+        }
+        const counter = items.length + 1;
+        const item = parts
+          .map((part, k) => {
+            if (part.type === "text") return part.value;
+            if (part.type === "counter") return String(counter).padStart(part.width, "0");
+            return values[k];
+          })
+          .join("");
+        const trimmed = trimmedText(item);
+        if (trimmed) items.push(trimmed);
+      }
+    }
+    return { ok: true, errors: [], count: items.length, items };
+  }
+
+  // ==========================================================================
+  // Named batches
+  // ==========================================================================
+
+  // Stored as { activeId, collections: [{ id, name, items, index, captions, statuses }] }. Before the
+  // collection model, the single batch lived in the batchItems / batchIndex / batchCaptions keys.
+  const DEFAULT_BATCH_NAME = "Batch 1";
+  const BATCH_NAME_MAX_LENGTH = 60;
+
+  function normalizeCaptionMap(value) {
+    const captions = {};
+    if (!value || typeof value !== "object" || Array.isArray(value)) return captions;
+    for (const [text, caption] of Object.entries(value)) {
+      const t = trimmedText(caption);
+      if (t) captions[text] = t;
+    }
+    return captions;
+  }
+
+  // Progress of a batch run, one status per item position (a batch can hold the same payload twice).
+  const BATCH_ITEM_STATUSES = Object.freeze(["pending", "done", "skipped"]);
+
+  function normalizeItemStatus(status) {
+    return status === "done" || status === "skipped" ? status : "pending";
+  }
+
+  // A status array parallel to `items`. Statuses saved before they were per position were an
+  // object keyed by payload; those are spread over every item with that payload.
+  function normalizeStatusList(value, items) {
+    if (Array.isArray(value)) return items.map((_, i) => normalizeItemStatus(value[i]));
+    const byText = value && typeof value === "object" ? value : {};
+    return items.map((text) => normalizeItemStatus(Object.hasOwn(byText, text) ? byText[text] : undefined));
+  }
+
+  // Carries statuses over an edit of the item list: each new item takes the status of the first
+  // not yet used old item with the same payload, so inserting or deleting lines keeps the rest.
+  function realignBatchStatuses(oldItems, oldStatuses, newItems) {
+    const positions = new Map();
+    oldItems.forEach((text, i) => {
+      if (!positions.has(text)) positions.set(text, []);
+      positions.get(text).push(i);
+    });
+    return newItems.map((text) => {
+      const i = positions.get(text)?.shift();
+      return i === undefined ? "pending" : normalizeItemStatus(oldStatuses[i]);
+    });
+  }
+
+  function clampBatchIndex(index, count) {
+    const n = Math.floor(Number(index));
+    if (!Number.isFinite(n) || count <= 0 || n < 0) return 0;
+    return Math.min(n, count - 1);
+  }
+
+  function normalizeBatch(value, fallbackId) {
+    const v = value && typeof value === "object" ? value : {};
+    const items = coerceTextArray(v.items);
+    return {
+      id: trimmedText(v.id) || fallbackId,
+      name: trimmedText(v.name).slice(0, BATCH_NAME_MAX_LENGTH) || DEFAULT_BATCH_NAME,
+      items,
+      index: clampBatchIndex(v.index, items.length),
+      captions: normalizeCaptionMap(v.captions),
+      statuses: normalizeStatusList(v.statuses, items),
+    };
+  }
+
+  function nextBatchId(collections) {
+    const max = collections.reduce((n, c) => Math.max(n, Number(/^b(\d+)$/.exec(c.id)?.[1]) || 0), 0);
+    return `b${max + 1}`;
+  }
+
+  // `name`, or `name (2)`, `name (3)`… so names stay unique (ignoring `exceptId`).
+  function uniqueBatchName(collections, name, exceptId) {
+    const base = trimmedText(name).slice(0, BATCH_NAME_MAX_LENGTH) || DEFAULT_BATCH_NAME;
+    const taken = new Set(collections.filter((c) => c.id !== exceptId).map((c) => c.name.toLowerCase()));
+    if (!taken.has(base.toLowerCase())) return base;
+    for (let n = 2; ; n++) {
+      const candidate = `${base} (${n})`;
+      if (!taken.has(candidate.toLowerCase())) return candidate;
+    }
+  }
+
+  /**
+   * Cleans the stored batches value. When it is missing, the legacy single batch
+   * ({ batchItems, batchIndex, batchCaptions }) becomes the first collection.
+   * There is always at least one collection and activeId always points at one.
+   */
+  function normalizeBatches(raw, legacy) {
+    let collections = [];
+    if (raw && typeof raw === "object" && Array.isArray(raw.collections)) {
+      const seen = new Set();
+      for (const value of raw.collections) {
+        const batch = normalizeBatch(value, nextBatchId(collections));
+        if (seen.has(batch.id)) batch.id = nextBatchId(collections);
+        seen.add(batch.id);
+        batch.name = uniqueBatchName(collections, batch.name);
+        collections.push(batch);
+      }
+    }
+    if (!collections.length) {
+      const l = legacy && typeof legacy === "object" ? legacy : {};
+      collections = [
+        normalizeBatch({ id: "b1", items: l.batchItems, index: l.batchIndex, captions: l.batchCaptions }, "b1"),
+      ];
+    }
+    const activeId = collections.some((c) => c.id === raw?.activeId) ? raw.activeId : collections[0].id;
+    return { activeId, collections };
+  }
+
+  function getActiveBatch(batches) {
+    return batches.collections.find((c) => c.id === batches.activeId) ?? batches.collections[0];
+  }
+
+  function mapBatch(batches, id, update) {
+    return { ...batches, collections: batches.collections.map((c) => (c.id === id ? update(c) : c)) };
+  }
+
+  // Applies { items, index, captions, statuses } (any subset) to the active batch; the index is re-clamped.
+  // New items without new statuses keep the statuses of matching old items (see realignBatchStatuses).
+  function updateActiveBatch(batches, patch) {
+    return mapBatch(batches, getActiveBatch(batches).id, (batch) => {
+      const statuses =
+        patch.items && !patch.statuses
+          ? realignBatchStatuses(batch.items, batch.statuses, coerceTextArray(patch.items))
+          : batch.statuses;
+      return normalizeBatch({ ...batch, statuses, ...patch }, batch.id);
+    });
+  }
+
+  function switchBatch(batches, id) {
+    return batches.collections.some((c) => c.id === id) ? { ...batches, activeId: id } : batches;
+  }
+
+  // Adds an empty batch and makes it active.
+  function createBatch(batches, name) {
+    const id = nextBatchId(batches.collections);
+    const batch = normalizeBatch({ id, name: uniqueBatchName(batches.collections, name || "New batch") }, id);
+    return { activeId: id, collections: [...batches.collections, batch] };
+  }
+
+  // A blank name keeps the current one.
+  function renameBatch(batches, id, name) {
+    if (!trimmedText(name)) return batches;
+    return mapBatch(batches, id, (batch) => ({ ...batch, name: uniqueBatchName(batches.collections, name, id) }));
+  }
+
+  // Copies a batch (items, position and captions) next to the original and makes the copy active.
+  function duplicateBatch(batches, id) {
+    const source = batches.collections.find((c) => c.id === id);
+    if (!source) return batches;
+    const copy = {
+      ...source,
+      id: nextBatchId(batches.collections),
+      name: uniqueBatchName(batches.collections, `${source.name} copy`),
+      items: [...source.items],
+      captions: { ...source.captions },
+      statuses: [...source.statuses],
+    };
+    const at = batches.collections.indexOf(source) + 1;
+    const collections = [...batches.collections.slice(0, at), copy, ...batches.collections.slice(at)];
+    return { activeId: copy.id, collections };
+  }
+
+  // Removes a batch; the neighbour becomes active. Deleting the last batch leaves an empty one.
+  function deleteBatch(batches, id) {
+    const at = batches.collections.findIndex((c) => c.id === id);
+    if (at < 0) return batches;
+    const collections = batches.collections.filter((c) => c.id !== id);
+    if (!collections.length) return normalizeBatches(null, null);
+    const activeId =
+      batches.activeId === id ? collections[Math.min(at, collections.length - 1)].id : batches.activeId;
+    return { activeId, collections };
+  }
+
+  function getBatchItemStatus(batch, index) {
+    return normalizeItemStatus(batch.statuses[index]);
+  }
+
+  // Sets the status of the item at `index` in the active batch.
+  function setBatchItemStatus(batches, index, status) {
+    const statuses = [...getActiveBatch(batches).statuses];
+    if (index < 0 || index >= statuses.length) return batches;
+    statuses[index] = normalizeItemStatus(status);
+    return updateActiveBatch(batches, { statuses });
+  }
+
+  function resetBatchProgress(batches) {
+    return updateActiveBatch(batches, { statuses: [] });
+  }
+
+  // Counts items by status; `pending` includes everything not marked.
+  function countBatchProgress(batch) {
+    const counts = { total: batch.items.length, done: 0, skipped: 0, pending: 0 };
+    batch.items.forEach((_, index) => {
+      counts[getBatchItemStatus(batch, index)] += 1;
+    });
+    return counts;
+  }
+
+  // Index of the first pending item after `fromIndex`, wrapping around; -1 when none is left.
+  function findNextPendingIndex(batch, fromIndex) {
+    const count = batch.items.length;
+    for (let step = 1; step <= count; step++) {
+      const index = (((fromIndex + step) % count) + count) % count;
+      if (getBatchItemStatus(batch, index) === "pending") return index;
+    }
+    return -1;
+  }
+
+  // Applies a (possibly lowered) batch limit to every collection.
+  function trimBatchesToLimit(batches, limit) {
+    const collections = batches.collections.map((batch) =>
+      batch.items.length > limit ? normalizeBatch({ ...batch, items: batch.items.slice(0, limit) }, batch.id) : batch
+    );
+    return { ...batches, collections };
+  }
+
+  // ==========================================================================
+  // Batch slideshow
+  // ==========================================================================
+
+  const SLIDESHOW_INTERVAL_RANGE = Object.freeze({ min: 1, max: 600 }); // seconds
+  const DEFAULT_SLIDESHOW = Object.freeze({ intervalSeconds: 5, loop: true });
+
+  function normalizeSlideshowSettings(raw) {
+    const v = raw && typeof raw === "object" ? raw : {};
+    const { min, max } = SLIDESHOW_INTERVAL_RANGE;
+    const n = Number(v.intervalSeconds);
+    const seconds = Math.round(n * 10) / 10;
+    return {
+      intervalSeconds: Number.isFinite(n) ? Math.min(max, Math.max(min, seconds)) : DEFAULT_SLIDESHOW.intervalSeconds,
+      loop: typeof v.loop === "boolean" ? v.loop : DEFAULT_SLIDESHOW.loop,
+    };
+  }
+
+  // Moves `delta` items through a batch of `count`, wrapping around when `loop` is set and
+  // stopping at either end otherwise. Returns 0 for an empty batch.
+  function stepBatchIndex(index, delta, count, loop) {
+    const n = Math.max(0, Math.floor(Number(count)) || 0);
+    if (!n) return 0;
+    const current = Math.min(n - 1, Math.max(0, Math.floor(Number(index)) || 0));
+    const next = current + Math.trunc(Number(delta) || 0);
+    if (loop) return ((next % n) + n) % n;
+    return Math.min(n - 1, Math.max(0, next));
+  }
+
+  // ==========================================================================
+  // Structured payloads (Wi-Fi, vCard, email, SMS, geo, calendar)
+  // ==========================================================================
+
+  const PAYLOAD_TYPES = ["text", "wifi", "vcard", "email", "sms", "geo", "event"];
+  const WIFI_SECURITY_TYPES = ["WPA", "WEP", "nopass"];
+
+  // MECARD-style escaping used by the WIFI: scheme.
+  function escapeWifiValue(value) {
+    return (value ?? "").toString().replace(/([\\;,:"])/g, "\\$1");
+  }
+
+  // vCard / iCalendar text escaping (RFC 6350 / RFC 5545).
+  function escapeVText(value) {
+    return (value ?? "")
+      .toString()
+      .replace(/\\/g, "\\\\")
+      .replace(/\r?\n/g, "\\n")
+      .replace(/([,;])/g, "\\$1");
+  }
+
+  function buildWifiPayload(fields) {
+    const f = fields || {};
+    const ssid = (f.ssid ?? "").toString();
+    const security = WIFI_SECURITY_TYPES.includes(f.security) ? f.security : "WPA";
+    const password = (f.password ?? "").toString();
+    const errors = [];
+
+    if (!ssid.trim()) errors.push("Network name (SSID) is required.");
+    if (security !== "nopass" && !password) errors.push("Password is required for secured networks.");
+    // A WPA passphrase is 8 to 63 characters; exactly 64 hex digits is the raw pre-shared key.
+    const rawPsk = /^[0-9a-f]{64}$/i.test(password);
+    if (security === "WPA" && password && !rawPsk && (password.length < 8 || password.length > 63)) {
+      errors.push("WPA passwords are 8 to 63 characters, or a 64-digit hex key.");
+    }
+    if (errors.length) return { ok: false, errors, payload: "" };
+
+    const parts = [`T:${security}`, `S:${escapeWifiValue(ssid)}`];
+    if (security !== "nopass") parts.push(`P:${escapeWifiValue(password)}`);
+    if (f.hidden === true) parts.push("H:true");
+    return { ok: true, errors, payload: `WIFI:${parts.join(";")};;` };
+  }
+
+  function buildVCardPayload(fields) {
+    const f = fields || {};
+    const v = (key) => trimmedText(f[key]);
+    const first = v("firstName");
+    const last = v("lastName");
+    const org = v("org");
+
+    if (!first && !last && !org) {
+      return { ok: false, errors: ["A name or organization is required."], payload: "" };
+    }
+    if (v("email") && !isEmailAddress(v("email"))) {
+      return { ok: false, errors: ["Email address looks invalid."], payload: "" };
+    }
+
+    const lines = [
+      "BEGIN:VCARD",
+      "VERSION:3.0",
+      `N:${escapeVText(last)};${escapeVText(first)};;;`,
+      `FN:${escapeVText([first, last].filter(Boolean).join(" ") || org)}`,
+    ];
+    if (org) lines.push(`ORG:${escapeVText(org)}`);
+    if (v("title")) lines.push(`TITLE:${escapeVText(v("title"))}`);
+    if (v("phone")) lines.push(`TEL:${escapeVText(v("phone"))}`);
+    if (v("email")) lines.push(`EMAIL:${escapeVText(v("email"))}`);
+    if (v("url")) lines.push(`URL:${escapeVText(v("url"))}`);
+    if (v("address")) lines.push(`ADR:;;${escapeVText(v("address"))};;;;`);
+    if (v("note")) lines.push(`NOTE:${escapeVText(v("note"))}`);
+    lines.push("END:VCARD");
+    return { ok: true, errors: [], payload: lines.join("\n") };
+  }
+
+  function isEmailAddress(value) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmedText(value));
+  }
+
+  function isPhoneNumber(value) {
+    const t = trimmedText(value);
+    return /^\+?[0-9 ().-]{3,}$/.test(t) && /[0-9]{3,}/.test(t.replace(/\D/g, ""));
+  }
+
+  function buildEmailPayload(fields) {
+    const f = fields || {};
+    const to = trimmedText(f.to);
+    if (!isEmailAddress(to)) {
+      return { ok: false, errors: ["A valid recipient address is required."], payload: "" };
+    }
+
+    const query = [];
+    if (trimmedText(f.subject)) query.push(`subject=${encodeURIComponent(trimmedText(f.subject))}`);
+    if (trimmedText(f.body)) query.push(`body=${encodeURIComponent(trimmedText(f.body))}`);
+    const payload = `mailto:${to}${query.length ? `?${query.join("&")}` : ""}`;
+    return { ok: true, errors: [], payload };
+  }
+
+  function buildSmsPayload(fields) {
+    const f = fields || {};
+    const number = trimmedText(f.number);
+    if (!isPhoneNumber(number)) {
+      return { ok: false, errors: ["A valid phone number is required."], payload: "" };
+    }
+    const compact = number.replace(/[\s().-]/g, "");
+    const message = trimmedText(f.message);
+    return { ok: true, errors: [], payload: `SMSTO:${compact}:${message}` };
+  }
+
+  function buildGeoPayload(fields) {
+    const f = fields || {};
+    const latText = trimmedText(f.latitude);
+    const lngText = trimmedText(f.longitude);
+    const lat = Number(latText);
+    const lng = Number(lngText);
+    const errors = [];
+
+    if (!latText || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+      errors.push("Latitude must be between -90 and 90.");
+    }
+    if (!lngText || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+      errors.push("Longitude must be between -180 and 180.");
+    }
+    if (errors.length) return { ok: false, errors, payload: "" };
+
+    const label = trimmedText(f.label);
+    const query = label ? `?q=${encodeURIComponent(label)}` : "";
+    return { ok: true, errors, payload: `geo:${lat},${lng}${query}` };
+  }
+
+  // "2026-10-18T09:30" (datetime-local) -> "20261018T093000" (floating local time)
+  function toICalDateTime(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(trimmedText(value));
+    if (!m) return "";
+    return `${m[1]}${m[2]}${m[3]}T${m[4]}${m[5]}${m[6] ?? "00"}`;
+  }
+
+  function buildEventPayload(fields) {
+    const f = fields || {};
+    const summary = trimmedText(f.summary);
+    const start = toICalDateTime(f.start);
+    const end = toICalDateTime(f.end);
+    const errors = [];
+
+    if (!summary) errors.push("Event title is required.");
+    if (!start) errors.push("A valid start date and time is required.");
+    if (trimmedText(f.end) && !end) errors.push("End date and time is invalid.");
+    if (start && end && end <= start) errors.push("End must be after start.");
+    if (errors.length) return { ok: false, errors, payload: "" };
+
+    const lines = ["BEGIN:VEVENT", `SUMMARY:${escapeVText(summary)}`, `DTSTART:${start}`];
+    if (end) lines.push(`DTEND:${end}`);
+    if (trimmedText(f.location)) lines.push(`LOCATION:${escapeVText(trimmedText(f.location))}`);
+    if (trimmedText(f.description)) {
+      lines.push(`DESCRIPTION:${escapeVText(trimmedText(f.description))}`);
+    }
+    lines.push("END:VEVENT");
+    return { ok: true, errors, payload: lines.join("\n") };
+  }
+
+  /**
+   * Serializes form fields into the standard QR payload for a given type.
+   *
+   * @param {string} type - One of PAYLOAD_TYPES
+   * @param {object} fields - Raw form values
+   * @returns {{ ok: boolean, errors: string[], payload: string }}
+   */
+  function buildStructuredPayload(type, fields) {
+    switch (type) {
+      case "text": {
+        const payload = trimmedText(fields?.text);
+        return payload
+          ? { ok: true, errors: [], payload }
+          : { ok: false, errors: ["Text is required."], payload: "" };
+      }
+      case "wifi":
+        return buildWifiPayload(fields);
+      case "vcard":
+        return buildVCardPayload(fields);
+      case "email":
+        return buildEmailPayload(fields);
+      case "sms":
+        return buildSmsPayload(fields);
+      case "geo":
+        return buildGeoPayload(fields);
+      case "event":
+        return buildEventPayload(fields);
+      default:
+        return { ok: false, errors: [`Unknown payload type "${type}".`], payload: "" };
+    }
   }
 
   /**
@@ -104,8 +2572,9 @@
    * @param {string} opts.lastClipboard - The last clipboard text we observed
    * @param {string} opts.currentText - The saved text from the textbox
    * @param {string} opts.newClipboard - The current clipboard content (may be empty if read failed)
-   * @param {string[]} opts.history - The existing history array
+   * @param {Array<object|string>} opts.history - The existing history entries (legacy strings are migrated)
    * @param {number} opts.limit - The history limit
+   * @param {number} [opts.now] - Capture time for entries added here (defaults to Date.now())
    * @returns {object} { displayText, newHistory, newLastClipboard, newCurrentText, clipboardChanged }
    */
   function computeInitialState(opts) {
@@ -114,13 +2583,14 @@
       currentText = "",
       newClipboard = "",
       history = [],
-      limit = 15,
+      limit = DEFAULT_LIMITS.historyLimit,
+      now = Date.now(),
     } = opts || {};
 
     const trimmedLastClipboard = trimmedText(lastClipboard);
     const trimmedCurrentText = trimmedText(currentText);
     const trimmedNewClipboard = trimmedText(newClipboard);
-    const cleanHistory = coerceTextArray(history);
+    const cleanHistory = normalizeHistory(history);
 
     // Case 1: Clipboard has new content (different from last time)
     if (trimmedNewClipboard && trimmedNewClipboard !== trimmedLastClipboard) {
@@ -128,10 +2598,20 @@
       // ensure it's in history (the user edited something before copying new)
       let updatedHistory = cleanHistory;
       if (trimmedCurrentText && trimmedCurrentText !== trimmedLastClipboard) {
-        updatedHistory = updateHistory(updatedHistory, trimmedCurrentText, limit);
+        updatedHistory = updateHistory(
+          updatedHistory,
+          { text: trimmedCurrentText, method: "edit" },
+          limit,
+          now
+        );
       }
       // Then add the new clipboard content
-      updatedHistory = updateHistory(updatedHistory, trimmedNewClipboard, limit);
+      updatedHistory = updateHistory(
+        updatedHistory,
+        { text: trimmedNewClipboard, method: "clipboard" },
+        limit,
+        now
+      );
 
       return {
         displayText: trimmedNewClipboard,
@@ -154,7 +2634,7 @@
     }
 
     // Case 3: No currentText saved, fall back to most recent history item
-    const fallback = cleanHistory.length > 0 ? cleanHistory[cleanHistory.length - 1] : "";
+    const fallback = cleanHistory.length > 0 ? cleanHistory[cleanHistory.length - 1].text : "";
     return {
       displayText: fallback,
       newHistory: cleanHistory,
@@ -165,11 +2645,135 @@
   }
 
   return {
+    QR_CORRECT_LEVELS,
+    DEFAULT_QR_OPTIONS,
+    QR_MAX_BYTES,
     trimmedText,
     coerceTextArray,
+    CAPTURE_METHODS,
+    CAPTURE_METHOD_LABELS,
+    sanitizeSourceUrl,
+    getSourceHost,
+    normalizeHistoryEntry,
+    normalizeHistory,
+    historyTexts,
     updateHistory,
+    setHistoryPinned,
+    setHistoryLabel,
+    sameHistory,
+    mergeHistory,
+    HISTORY_OPERATION_KINDS,
+    HISTORY_ADD_TARGETS,
+    validateHistoryOperation,
+    applyHistoryOperation,
+    createHistoryClient,
+    MESSAGE_PROTOCOL_VERSION,
+    MESSAGE_PROTOCOL_MIN_VERSION,
+    MESSAGE_ERROR_CODES,
+    validateMessageFields,
+    classifyMessageSender,
+    createMessageRouter,
+    createMessageClient,
+    sortHistoryForDisplay,
+    fuzzyScore,
+    filterHistory,
+    removeHistoryItems,
+    DEFAULT_LIMITS,
+    LIMIT_RANGES,
+    normalizeLimits,
+    validateLimits,
+    trimHistoryToLimit,
+    RETENTION_PERIODS,
+    DEFAULT_RETENTION,
+    normalizeRetention,
+    purgeExpiredHistory,
+    clearHistory,
+    DEFAULT_CAPTURE_RULES,
+    validateCaptureRule,
+    normalizeCaptureRules,
+    hostPatternMatches,
+    captureRuleMatches,
+    resolveCapturePolicy,
+    CAPTURE_EVENTS,
+    DEFAULT_CAPTURE_EVENTS,
+    normalizeCaptureEvents,
+    isCaptureEventEnabled,
+    SENSITIVE_HANDLING_MODES,
+    DEFAULT_SENSITIVE_HANDLING,
+    SENSITIVE_KIND_LABELS,
+    shannonEntropy,
+    luhnValid,
+    findSensitiveMatches,
+    classifySensitiveText,
+    maskSensitiveText,
+    applySensitivePolicy,
+    describeSensitiveDecision,
+    PASSPHRASE_MIN_LENGTH,
+    isEncryptedPayload,
+    deriveHistoryKey,
+    exportHistoryKey,
+    importHistoryKey,
+    encryptJson,
+    decryptJson,
+    createHistoryLock,
+    unlockHistoryLock,
+    readStoredHistory,
+    encodeHistoryForStorage,
+    resolveBatchKey,
+    readStoredBatches,
+    encodeBatchesForStorage,
     createSerialQueue,
+    CAPTURE_COALESCE_WINDOW_MS,
+    createCaptureCoalescer,
+    routeCaptureReport,
     extractCopiedTextFromCopyEvent,
+    extractSelectedText,
+    qrModelToMatrix,
+    buildQrSvg,
+    PAGE_SIZES,
+    LABEL_TEMPLATES,
+    DEFAULT_LABEL_TEMPLATE,
+    validateSheetTemplate,
+    computeSheetLayout,
+    buildSheetPdf,
+    BATCH_IMPORT_STATUS_LABELS,
+    detectCsvDelimiter,
+    parseCsvRows,
+    getColumnIndex,
+    applyPayloadTemplate,
+    buildBatchImport,
+    describeBatchImport,
+    parseSequencePattern,
+    expandSequencePatterns,
+    DEFAULT_BATCH_NAME,
+    normalizeBatches,
+    getActiveBatch,
+    updateActiveBatch,
+    switchBatch,
+    createBatch,
+    renameBatch,
+    duplicateBatch,
+    deleteBatch,
+    trimBatchesToLimit,
+    BATCH_ITEM_STATUSES,
+    getBatchItemStatus,
+    setBatchItemStatus,
+    resetBatchProgress,
+    countBatchProgress,
+    findNextPendingIndex,
+    SLIDESHOW_INTERVAL_RANGE,
+    DEFAULT_SLIDESHOW,
+    normalizeSlideshowSettings,
+    stepBatchIndex,
+    colorContrastRatio,
+    qrPayloadByteLength,
+    qrPayloadFits,
+    normalizeQrOptions,
+    validateQrOptions,
+    PAYLOAD_TYPES,
+    escapeWifiValue,
+    escapeVText,
+    buildStructuredPayload,
     computeInitialState,
   };
 });
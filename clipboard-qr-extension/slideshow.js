@@ -0,0 +1,334 @@
+// Batch slideshow: shows one batch item at a time as a large QR code and advances on a timer.
+// The position is the active named batch's `index`, so the popup and this page always agree.
+
+// DOM Elements
+const progressBatchEl = document.getElementById("progress-batch");
+const progressTimerEl = document.getElementById("progress-timer");
+const slideQrEl = document.getElementById("slide-qr");
+const slideEmptyEl = document.getElementById("slide-empty");
+const slideCaptionEl = document.getElementById("slide-caption");
+const prevBtn = document.getElementById("slide-prev");
+const toggleBtn = document.getElementById("slide-toggle");
+const nextBtn = document.getElementById("slide-next");
+const countEl = document.getElementById("slide-count");
+const intervalInput = document.getElementById("slide-interval");
+const loopCheckbox = document.getElementById("slide-loop");
+const fullscreenBtn = document.getElementById("slide-fullscreen");
+
+// Storage keys (see popup.js)
+const BATCHES_KEY = "batches"; // named batches; the slideshow shows the active one
+const LEGACY_BATCH_KEYS = ["batchItems", "batchIndex", "batchCaptions"];
+const QR_OPTIONS_KEY = "qrOptions";
+const SLIDESHOW_KEY = "slideshow"; // { intervalSeconds, loop }
+const HISTORY_LOCK_KEY = "historyLock";
+const HISTORY_KEY_SESSION_KEY = "historyKey"; // chrome.storage.session, while encrypted history is unlocked
+const IDLE_DELAY_MS = 2500;
+
+const shared = globalThis.ClipboardQrShared;
+
+let batches = shared.normalizeBatches();
+let batchKey = null; // history key the batches are encrypted with while history lock is on
+let batchesLocked = false;
+const enqueueBatchTask = shared.createSerialQueue(); // keeps decrypts and encrypted writes in order
+let batchItems = [];
+let batchCaptions = {};
+let batchIndex = 0;
+let qrOptions = { ...shared.DEFAULT_QR_OPTIONS };
+let settings = shared.normalizeSlideshowSettings(null);
+let playing = true;
+let advanceTimerId = null;
+let idleTimerId = null;
+
+function storageGet(keys) {
+  return new Promise((resolve) => chrome.storage.local.get(keys, resolve));
+}
+
+function sessionStorageGet(keys) {
+  return new Promise((resolve) => chrome.storage.session.get(keys, resolve));
+}
+
+function storageSet(obj) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(obj, () => {
+      const err = chrome.runtime?.lastError;
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+async function loadBatchKey(lock) {
+  const session = await sessionStorageGet([HISTORY_KEY_SESSION_KEY]);
+  ({ locked: batchesLocked, key: batchKey } = await shared.resolveBatchKey(lock, session?.[HISTORY_KEY_SESSION_KEY]));
+}
+
+async function loadActiveBatch(value, legacy) {
+  const stored = await shared.readStoredBatches(value, batchKey, legacy);
+  batchesLocked ||= stored.locked;
+  batches = stored.batches;
+  const active = shared.getActiveBatch(batches);
+  batchItems = active.items;
+  batchCaptions = active.captions;
+  batchIndex = active.index;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function renderQr(text) {
+  slideQrEl.classList.remove("too-long");
+  slideQrEl.innerHTML = "";
+  if (!shared.qrPayloadFits(text, qrOptions.correctLevel)) {
+    slideQrEl.classList.add("too-long");
+    slideQrEl.textContent = "Too long for a QR code";
+    return;
+  }
+  const holder = document.createElement("div");
+  try {
+    const qr = new QRCode(holder, {
+      text,
+      width: 64,
+      height: 64,
+      correctLevel: QRCode.CorrectLevel[qrOptions.correctLevel],
+    });
+    // buildQrSvg escapes the colors, so the markup is safe to insert. SVG scales to any size.
+    slideQrEl.innerHTML = shared.buildQrSvg(shared.qrModelToMatrix(qr._oQRCode), {
+      margin: qrOptions.quietZone,
+      colorDark: qrOptions.colorDark,
+      colorLight: qrOptions.colorLight,
+    });
+  } catch (err) {
+    console.error("QR generation failed", err);
+  }
+}
+
+// Restarts the countdown bar for the current item (empty while paused).
+function restartTimerBar() {
+  progressTimerEl.style.transition = "none";
+  progressTimerEl.style.width = "0";
+  if (!playing || batchItems.length < 2) return;
+  void progressTimerEl.offsetWidth; // commit the reset before animating again
+  progressTimerEl.style.transition = `width ${settings.intervalSeconds}s linear`;
+  progressTimerEl.style.width = "100%";
+}
+
+function render() {
+  const count = batchItems.length;
+  const text = batchItems[batchIndex] ?? "";
+  slideEmptyEl.classList.toggle("hidden", count > 0);
+  slideEmptyEl.textContent = batchesLocked
+    ? "History is locked. Unlock it in the popup to show the batch."
+    : "The batch is empty. Turn on batch mode in the popup and add one item per line.";
+  slideQrEl.classList.toggle("hidden", count === 0);
+  if (count) renderQr(text);
+  const caption = batchCaptions[text];
+  slideCaptionEl.textContent = typeof caption === "string" && caption.trim() ? caption : text;
+  slideQrEl.setAttribute("aria-label", `QR code for ${text}`);
+
+  const { done } = shared.countBatchProgress(shared.getActiveBatch(batches));
+  countEl.textContent = count ? `${batchIndex + 1} / ${count} · ${done} done` : "0 / 0";
+  countEl.dataset.status = shared.getBatchItemStatus(shared.getActiveBatch(batches), batchIndex);
+  progressBatchEl.style.width = count ? `${((batchIndex + 1) / count) * 100}%` : "0";
+  prevBtn.disabled = count < 2 || (!settings.loop && batchIndex === 0);
+  nextBtn.disabled = count < 2 || (!settings.loop && batchIndex === count - 1);
+  toggleBtn.disabled = count < 2;
+  toggleBtn.textContent = playing ? "Pause" : "Play";
+  restartTimerBar();
+}
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+
+function scheduleAdvance() {
+  clearTimeout(advanceTimerId);
+  if (!playing || batchItems.length < 2) return;
+  advanceTimerId = setTimeout(() => {
+    const atEnd = batchIndex === batchItems.length - 1;
+    if (atEnd && !settings.loop) {
+      setPlaying(false);
+      return;
+    }
+    markCurrent("done", true);
+    goTo(shared.stepBatchIndex(batchIndex, 1, batchItems.length, settings.loop));
+  }, settings.intervalSeconds * 1000);
+}
+
+function goTo(index) {
+  batchIndex = index;
+  render();
+  scheduleAdvance();
+  batches = shared.updateActiveBatch(batches, { index: batchIndex });
+  if (batchesLocked) return;
+  const snapshot = batches;
+  void enqueueBatchTask(async () => {
+    await storageSet({ [BATCHES_KEY]: await shared.encodeBatchesForStorage(snapshot, batchKey) });
+  }).catch((err) => {
+    console.error("Failed to save batch position", err);
+  });
+}
+
+// Sets the status of the item on screen; with `onlyPending`, items already marked are left alone.
+// Saved together with the next position by goTo().
+function markCurrent(status, onlyPending = false) {
+  if (batchIndex >= batchItems.length) return;
+  if (onlyPending && shared.getBatchItemStatus(shared.getActiveBatch(batches), batchIndex) !== "pending") return;
+  batches = shared.setBatchItemStatus(batches, batchIndex, status);
+}
+
+function step(delta) {
+  if (batchItems.length < 2) return;
+  // Moving forward counts as having shown (and scanned) the current item.
+  if (delta > 0) markCurrent("done", true);
+  goTo(shared.stepBatchIndex(batchIndex, delta, batchItems.length, settings.loop));
+}
+
+function setPlaying(value) {
+  playing = value;
+  render();
+  scheduleAdvance();
+}
+
+function toggleFullscreen() {
+  if (document.fullscreenElement) {
+    void document.exitFullscreen();
+  } else {
+    void document.documentElement.requestFullscreen().catch((err) => {
+      console.error("Full screen request failed", err);
+    });
+  }
+}
+
+async function saveSettings() {
+  try {
+    await storageSet({ [SLIDESHOW_KEY]: settings });
+  } catch (err) {
+    console.error("Failed to save slideshow settings", err);
+  }
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+prevBtn.addEventListener("click", () => step(-1));
+nextBtn.addEventListener("click", () => step(1));
+toggleBtn.addEventListener("click", () => setPlaying(!playing));
+fullscreenBtn.addEventListener("click", toggleFullscreen);
+
+intervalInput.addEventListener("change", () => {
+  settings = shared.normalizeSlideshowSettings({ ...settings, intervalSeconds: intervalInput.valueAsNumber });
+  intervalInput.value = String(settings.intervalSeconds);
+  render();
+  scheduleAdvance();
+  void saveSettings();
+});
+
+loopCheckbox.addEventListener("change", () => {
+  settings = { ...settings, loop: loopCheckbox.checked };
+  render();
+  void saveSettings();
+});
+
+document.addEventListener("keydown", (e) => {
+  if (e.target instanceof HTMLInputElement || e.altKey || e.ctrlKey || e.metaKey) return;
+  switch (e.key) {
+    case "ArrowRight":
+    case "ArrowDown":
+    case "PageDown":
+      step(1);
+      break;
+    case "ArrowLeft":
+    case "ArrowUp":
+    case "PageUp":
+      step(-1);
+      break;
+    case "Home":
+      if (batchItems.length) goTo(0);
+      break;
+    case "End":
+      if (batchItems.length) goTo(batchItems.length - 1);
+      break;
+    case " ":
+    case "k":
+      setPlaying(!playing);
+      break;
+    case "f":
+      toggleFullscreen();
+      break;
+    case "d":
+    case "s":
+      if (!batchItems.length) break;
+      markCurrent(e.key === "d" ? "done" : "skipped");
+      goTo(shared.stepBatchIndex(batchIndex, 1, batchItems.length, settings.loop));
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
+});
+
+// Hide the controls and cursor in full screen until the mouse moves.
+function wake() {
+  document.body.classList.remove("idle");
+  clearTimeout(idleTimerId);
+  if (!document.fullscreenElement) return;
+  idleTimerId = setTimeout(() => document.body.classList.add("idle"), IDLE_DELAY_MS);
+}
+
+document.addEventListener("mousemove", wake);
+document.addEventListener("fullscreenchange", () => {
+  fullscreenBtn.textContent = document.fullscreenElement ? "Exit full screen" : "Full screen";
+  wake();
+});
+
+// Follow the popup (batch-prev / batch-next, edits) and other slideshow tabs. Locking or
+// unlocking history re-reads the batches, which are encrypted along with it.
+chrome.storage.onChanged.addListener((changes, area) => {
+  const keyChanged =
+    (area === "local" && changes[HISTORY_LOCK_KEY]) || (area === "session" && changes[HISTORY_KEY_SESSION_KEY]);
+  if (keyChanged) {
+    void enqueueBatchTask(loadBatches).then(refresh, (err) => console.error("Failed to reload the batch", err));
+    return;
+  }
+  if (area !== "local") return;
+  const batchesValue = changes[BATCHES_KEY]?.newValue;
+  if (changes[QR_OPTIONS_KEY]) qrOptions = shared.normalizeQrOptions(changes[QR_OPTIONS_KEY].newValue);
+  if (batchesValue) {
+    void enqueueBatchTask(() => loadActiveBatch(batchesValue)).then(refresh, (err) =>
+      console.error("Failed to read the batch", err)
+    );
+  } else if (changes[QR_OPTIONS_KEY]) {
+    refresh();
+  }
+});
+
+function refresh() {
+  render();
+  scheduleAdvance();
+}
+
+async function loadBatches() {
+  const stored = await storageGet([BATCHES_KEY, HISTORY_LOCK_KEY, ...LEGACY_BATCH_KEYS]);
+  await loadBatchKey(stored?.[HISTORY_LOCK_KEY]);
+  await loadActiveBatch(stored?.[BATCHES_KEY], stored);
+}
+
+async function init() {
+  const stored = await storageGet([QR_OPTIONS_KEY, SLIDESHOW_KEY]);
+  try {
+    await enqueueBatchTask(loadBatches);
+  } catch (err) {
+    console.error("Failed to read the batch", err);
+  }
+  qrOptions = shared.normalizeQrOptions(stored?.[QR_OPTIONS_KEY]);
+  settings = shared.normalizeSlideshowSettings(stored?.[SLIDESHOW_KEY]);
+  intervalInput.value = String(settings.intervalSeconds);
+  loopCheckbox.checked = settings.loop;
+  refresh();
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  void init();
+});